@@ -1,10 +1,264 @@
 const express = require('express');
+const fs = require('fs/promises');
+const path = require('path');
 const app = express();
 
 const port = 3000;
 
+// Slippy map tile sources served at /tiles/:source/:z/:x/:y, for example
+// with tileEngineURL: '/tiles/osm/${z}/${x}/${y}'. Each source proxies its
+// upstream url template (with ${x}, ${y}, ${z} or ${l}, ${-y} and {s}
+// replaced) and caches its tiles on disk. If given an MBTiles file, tiles
+// pre-seeded into it are served from there first, so the globe keeps
+// working offline.
+const tileSources =
+{
+  osm:
+  {
+    url: 'https://tile.openstreetmap.org/${z}/${x}/${y}.png',
+    subdomains: 'abc',
+    format: 'png',
+    mbtiles: null
+  }
+};
+
+// The tile disk cache. Tiles older than maxAgeMs are fetched again, but
+// still served if the upstream server can't be reached. When the cache
+// grows beyond maxBytes, the oldest tiles are deleted.
+const tileCache =
+{
+  dir: path.join(__dirname, 'tile_cache'),
+  maxBytes: 500 * 1024 * 1024,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000
+};
+
 app.use(express.static('public'));
 
+///////////////////////////////////////////////////////////////////////////////
+// TILES
+///////////////////////////////////////////////////////////////////////////////
+
+app.get('/tiles/:source/:z/:x/:y', async function (req, res)
+{
+  const name = req.params.source;
+  const source = Object.hasOwn(tileSources, name) ? tileSources[name] : null;
+  if (!source)
+    return res.status(404).send('Unknown tile source: ' + name);
+
+  // The row may carry a file extension, as in 5.png
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y.replace(/\.\w+$/, ''));
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24 ||
+      x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z)
+    return res.status(400).send('Bad tile coordinates');
+
+  try
+  {
+    // Pre-seeded tiles come first
+    const seeded = getMBTile(source, z, x, y);
+    if (seeded)
+      return sendTile(res, source, seeded);
+
+    // Then fresh tiles from the cache
+    const file = path.join(tileCache.dir, name, String(z), String(x), y + '.' + source.format);
+    const cached = await readCachedTile(file);
+    if (cached && Date.now() - cached.mtimeMs < tileCache.maxAgeMs)
+      return sendTile(res, source, cached.data);
+
+    // Then the upstream server, falling back on a stale cached tile
+    let data;
+    try
+    {
+      data = await fetchTile(source, z, x, y);
+    }
+    catch (err)
+    {
+      if (cached)
+        return sendTile(res, source, cached.data);
+      logOnce(name, 'Could not fetch tile ' + req.path + ': ' + err.message);
+      return res.status(502).send('Could not fetch tile');
+    }
+
+    // The source is back, so log its next failure
+    loggedSources.delete(name);
+    sendTile(res, source, data);
+    await writeCachedTile(file, data);
+  }
+  catch (err)
+  {
+    logOnce(name, 'Tile ' + req.path + ' failed: ' + err.message);
+    if (!res.headersSent)
+      res.status(500).send('Tile failed');
+  }
+});
+
+function sendTile(res, source, data)
+{
+  res.type(source.format)
+     .set('Cache-Control', 'public, max-age=' + Math.round(tileCache.maxAgeMs / 1000))
+     .send(data);
+}
+
+// The sources with a failure logged already since they last served a tile,
+// so a source that's down logs once rather than once a tile
+const loggedSources = new Set();
+
+function logOnce(name, message)
+{
+  if (loggedSources.has(name))
+    return;
+  loggedSources.add(name);
+  console.log(message + ' (further failures for ' + name + ' won\'t be logged until it serves a tile again)');
+}
+
+// Upstream fetches in progress, so simultaneous requests for the same tile
+// only fetch it once
+const fetching = new Map();
+
+function fetchTile(source, z, x, y)
+{
+  const url = source.url.replace(/\$?\{(-?\w+)\}/g, (match, key) =>
+  {
+    switch (key)
+    {
+      case 'x': return x;
+      case 'y': return y;
+      case '-y': return 2 ** z - 1 - y;
+      case 'z': case 'l': return z;
+      case 's': return source.subdomains[(x + y) % source.subdomains.length];
+      default: return match;
+    }
+  });
+
+  if (!fetching.has(url))
+  {
+    fetching.set(url, (async () =>
+    {
+      // Tile servers such as OpenStreetMap's require a descriptive user agent
+      const response = await fetch(url, { headers: { 'User-Agent': 'globepretty tile proxy' },
+                                          signal: AbortSignal.timeout(10000) });
+      if (!response.ok)
+        throw new Error('HTTP ' + response.status + ' from ' + url);
+      return Buffer.from(await response.arrayBuffer());
+    })().finally(() => fetching.delete(url)));
+  }
+  return fetching.get(url);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// DISK CACHE
+///////////////////////////////////////////////////////////////////////////////
+
+// Bytes in the cache, counted when the server starts and kept up as tiles
+// are written
+let cacheBytes = 0;
+let pruning = false;
+
+async function readCachedTile(file)
+{
+  try
+  {
+    const stat = await fs.stat(file);
+    return { data: await fs.readFile(file), mtimeMs: stat.mtimeMs };
+  }
+  catch (err)
+  {
+    return null;
+  }
+}
+
+async function writeCachedTile(file, data)
+{
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const prev = await fs.stat(file).catch(() => null);
+  await fs.writeFile(file, data);
+  cacheBytes += data.length - (prev ? prev.size : 0);
+
+  if (cacheBytes > tileCache.maxBytes)
+    pruneCache();
+}
+
+// List every cached tile with its size and age
+async function listCachedTiles()
+{
+  const entries = await fs.readdir(tileCache.dir, { recursive: true, withFileTypes: true })
+                         .catch(() => []);
+  const files = entries.filter(e => e.isFile())
+                       .map(e => path.join(e.parentPath ?? e.path, e.name));
+  const stats = await Promise.all(files.map(file => fs.stat(file).then(stat => ({ file, stat }),
+                                                                        () => null)));
+  return stats.filter(s => s);
+}
+
+// Delete the oldest tiles until the cache is comfortably under its limit
+async function pruneCache()
+{
+  if (pruning)
+    return;
+  pruning = true;
+
+  try
+  {
+    const tiles = await listCachedTiles();
+    tiles.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+    cacheBytes = tiles.reduce((sum, t) => sum + t.stat.size, 0);
+    for (const { file, stat } of tiles)
+    {
+      if (cacheBytes <= tileCache.maxBytes * .9)
+        break;
+      await fs.unlink(file).catch(() => {});
+      cacheBytes -= stat.size;
+    }
+  }
+  finally
+  {
+    pruning = false;
+  }
+}
+
+listCachedTiles().then(tiles => cacheBytes += tiles.reduce((sum, t) => sum + t.stat.size, 0));
+
+///////////////////////////////////////////////////////////////////////////////
+// MBTILES
+///////////////////////////////////////////////////////////////////////////////
+
+// better-sqlite3, loaded when first needed. Only needed for MBTiles, so
+// it's an optional dependency.
+let Database;
+
+// Get the given tile from the source's MBTiles file, if it has one and the
+// tile is in it. A file that can't be opened counts as no file, so its
+// tiles come from the cache and upstream instead.
+function getMBTile(source, z, x, y)
+{
+  if (!source.mbtiles || source.mbtilesQuery === null)
+    return null;
+
+  if (!source.mbtilesQuery)
+  {
+    try
+    {
+      Database ??= require('better-sqlite3');
+      const db = new Database(source.mbtiles, { readonly: true, fileMustExist: true });
+      source.mbtilesQuery = db.prepare('SELECT tile_data FROM tiles ' +
+                                       'WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    }
+    catch (err)
+    {
+      console.log('Could not open ' + source.mbtiles + ', so not using it: ' + err.message);
+      source.mbtilesQuery = null;
+      return null;
+    }
+  }
+
+  // MBTiles counts rows from the south
+  const row = source.mbtilesQuery.get(z, x, 2 ** z - 1 - y);
+  return row ? row.tile_data : null;
+}
+
 const server = app.listen(port, function ()
 {
   console.log("Listening on port: " + port);
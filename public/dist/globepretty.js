@@ -22,9 +22,42 @@
 //     How long to wait after a user interaction before resuming the spin.
 //     Zero to never stop spinning
 //
+//   interactionInputs (default true)
+//     Which kinds of input count as interactions that stop the spin, besides
+//     altitude changes and clicks. True for all, false for none, or a record
+//     turning any of them off, such as { hover: false, keyboard: false }:
+//       pointer       Pressing a mouse button or pen, or dragging with it
+//       touch         Touching or dragging on a touch screen
+//       wheel         Turning the mouse wheel
+//       keyboard      Pressing keys while the globe has focus
+//       hover         Hovering over a point, arc, polygon or other object
+//       controls      The camera controls starting or ending a move. The spin
+//                     stays stopped for as long as the move lasts.
+//
 //   onlySpinAboveAltitude (default .4)
 //     When zoomed in to greater than this altitude, stop spinning the globe
 //
+//   initialView (default 'timezone')
+//     Where the camera starts. One of:
+//       { lat, lng, altitude }  That view (any of them, leaving the rest)
+//       'timezone'              Over the user's IANA time zone, looked up in
+//                               a bundled table of zone coordinates
+//       'geolocation'           Over the user's location, if the browser
+//                               gives it. Starts over the time zone, then
+//                               flies there unless the user has taken over.
+//       function(timezoneView)  Returns the view, or a promise of it (which
+//                               starts over the time zone, as above)
+//       null                    Leave the camera where globe.gl puts it
+//     An unusable option throws an error. If the function throws, or gives
+//     an unusable view, the error event fires and the time zone's view is
+//     used instead.
+//
+//   syncHash (default false)
+//     Whether to keep the globe's state (see getState() below) in
+//     location.hash, so links to the page open the same view. The hash is
+//     updated once the camera settles, and restored from on load (ahead of
+//     initialView) and whenever it changes.
+//
 //   showClouds (default true)
 //     Whether to show clouds.
 //     Note that clouds can also be shown or hidden with the new member
@@ -33,9 +66,62 @@
 //   tileEngineURL (default 'https://tile.openstreetmap.org/${l}/${x}/${y}.png')
 //     Where to fetch slippy map tiles. If null, when zooming into the globe,
 //     the surface image gets grainier and grainier. If supplied, the surface
-//     shifts from fully opaque at altitude 1 to fully transparent at altitude
-//     .4, revealing the slippy map tiles underneath. This provides a nice
-//     effect for zooming from a blue marble image to a useable map.
+//     shifts from fully opaque at surfaceFadeStartAltitude to fully
+//     transparent at surfaceFadeEndAltitude, revealing the slippy map tiles
+//     underneath. This provides a nice effect for zooming from a blue marble
+//     image to a useable map.
+//     The URL is a template in which both ${name} and {name} are replaced:
+//       x, y          The tile's column and row
+//       l or z        The tile's zoom level
+//       -y            The tile's row counted from the south, for TMS servers
+//       s             A subdomain from tileSubdomains, spreading the load
+//       r             '@2x' if tileRetina is on, else ''
+//       quadkey       The tile's Bing-style quadkey
+//       anything else From tileParams, such as an API key
+//     Or instead of a template, give a function(x, y, l) returning the URL.
+//
+//   tileSubdomains (default 'abc')
+//     The subdomains (a string of letters or an array of strings) to rotate
+//     through for {s} in tileEngineURL.
+//
+//   tileRetina (default false)
+//     Whether {r} in tileEngineURL asks for @2x retina tiles. True, false, or
+//     'auto' to ask for them on high pixel ratio devices.
+//
+//   tileParams (default {})
+//     Other values to fill in tileEngineURL, such as { apikey: '...' } for
+//     ${apikey}.
+//
+//   tileLayers (default [])
+//     Semi-transparent slippy tile overlays to stack above the tileEngineURL
+//     tiles, such as labels, hillshade or weather radar, each of the form:
+//     {
+//       url: str,                // URL template (or function), as for
+//                                // tileEngineURL
+//       // Below are optional:
+//       opacity: float,          // Opacity of the layer (default 1)
+//       minAltitude: float,      // Hide the layer below this altitude
+//       maxAltitude: float,      // Hide the layer above this altitude
+//       minLevel: int,           // Lowest zoom level to fetch (default 0)
+//       maxLevel: int            // Highest zoom level to fetch (default 17)
+//     }
+//     Later layers are drawn over earlier ones.
+//     Note that the layers can also be replaced on the live globe with the
+//     new member function tileLayers(layers).
+//
+//   surfaceFadeStartAltitude (default 1)
+//     The altitude below which the surface image starts fading out to reveal
+//     the slippy map tiles, if there's a tileEngineURL
+//
+//   surfaceFadeEndAltitude (default .4)
+//     The altitude at which the surface image has faded out completely
+//
+//   surfaceFadeEasing (default 'linear')
+//     How the surface image fades between the two altitudes: 'linear',
+//     'easeIn', 'easeOut', 'easeInOut', or a function taking how far the
+//     camera is from surfaceFadeEndAltitude to surfaceFadeStartAltitude
+//     (0 to 1) and returning the opacity (0 to 1). A start altitude that
+//     isn't above the end altitude, or an unknown easing, throws an error.
 //
 //   surfaceAltitude (default 0.01)
 //     The altitude at which to place the planet surface image so that it
@@ -43,30 +129,148 @@
 //
 //   planet (default 'earth')
 //     Specify the planet to use: 'earth', 'moon', 'mercury', 'venus',
-//     'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'sun', or a
+//     'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'sun', the
+//     name of a planet added with Globe.registerPlanet(name, record), or a
 //     record of the form:
 //     {
 //       radius: int,             // Planet's radius in miles
 //       imageURL: str,           // URL of day time image of the planet
 //       // Below are optional:
-//       atmosphere: bool,        // Whether to render an atmosphere glow
+//       atmosphere: bool,        // Whether to render an atmosphere glow,
+//                                // or a preset name ('earth', 'venus',
+//                                // 'mars', 'titan', 'jupiter', 'saturn',
+//                                // 'uranus', 'neptune' or 'corona'), or a
+//                                // record { color, altitude, intensity,
+//                                // power } where altitude is its thickness
+//                                // in globe radii and power how sharply it
+//                                // fades outward
 //       nightImageURL: str       // URL of night time image of the planet
 //       bumpImageURL: str        // URL of bump map image for the planet
 //       bumpScale: int,          // How much to exaggerate the bump map
+//       waterURL: str            // URL of water mask image for ocean glint,
+//                                // which also keeps city lights on land
 //       cloudsAltitude: float    // Altitude to show clouds
 //       cloudsRotateSpeed: float // How fast to rotate clouds in deg/frame
-//       cloudsURL: str           // URL of image to use as clouds
+//                                // (at 60 frames per second)
+//       cloudsURL: str           // URL of image to use as clouds, or a
+//                                // sequence of frames (see below)
+//       star: bool               // Whether it shines by itself, with no
+//                                // day/night shading, darkening toward its
+//                                // limb and with a churning surface
+//       rings:                   // Rings around the planet's equator
+//       {
+//         innerRadius: float,    // Inner edge, in planet radii
+//         outerRadius: float,    // Outer edge, in planet radii
+//         // Below are optional:
+//         imageURL: str,         // URL of a color/alpha image running
+//                                // across the rings from the inner edge
+//         color: str,            // Color of the rings if no imageURL (or
+//                                // it fails to load)
+//         bands: [{ inner, outer, opacity }], // Where the rings are thick
+//                                // (in planet radii) if no imageURL
+//         opacity: float,        // Opacity of the rings (default 1)
+//         tilt: float            // Degrees to tip the rings off the equator
+//       }
+//     }
+//     Each of imageURL, nightImageURL, bumpImageURL, waterURL and cloudsURL
+//     may also be a list of the image's resolutions, smallest first, as
+//     [url or { url, width }]. The smallest shows at once, and the larger
+//     ones swap in as they load, up to maxTextureWidth.
+//     cloudsURL may also be a sequence of frames, such as near real time
+//     satellite imagery or a forecast loop, of the form:
+//     {
+//       frames: [{ time, url }], // Each frame's image by the time it's of,
+//       // or:                   // showing the latest at or before the
+//                                // clouds' time
+//       url: str,                // A URL template, with ${time} (ISO 8601)
+//                                // and/or ${timestamp} (ms) replaced by
+//                                // the clouds' time rounded down to
+//                                // refreshMs
+//       refreshMs: int,          // How often the template's image changes
+//                                // (optional for frames)
+//       // Below are optional:
+//       crossfadeMs: int,        // How long to crossfade between frames
+//                                // (default 1000)
+//       rotate: bool             // Whether to still rotate the clouds at
+//                                // cloudsRotateSpeed (default false)
 //     }
+//     The clouds' time follows the simulated clock (see time()), unless set
+//     with the new member function cloudsTime(date), and null follows the
+//     clock again. The cloudsFrame event fires as each frame starts to show.
+//     A frame that fails to load (such as the latest period's image, before
+//     it's out) is tried again after refreshMs (or a minute), showing the
+//     frame before it meanwhile.
+//     Planets with rings (such as 'saturn' and 'uranus') cast shadows onto
+//     them, and receive theirs. In 'daynight' mode, the atmosphere glow fades
+//     out on the night side.
+//     Note that the planet can also be switched on the live globe with the
+//     new member function planet(nameOrRecord), which returns a promise that
+//     resolves once the new planet has loaded. An unknown name or an
+//     unusable record throws an error saying what's wrong.
 //
 //   dayMode (default 'day')
 //     One of 'day' (which renders the planet's day image), 'night' (which
 //     renders the planet's night image), or 'daynight' (which blends the
-//     day and night images together based on where the sun is right now and
-//     accurately updates it once every minute).
+//     day and night images together based on where the sun is at the
+//     simulated time and accurately updates it once every minute, or every
+//     frame when the clock runs faster than real time). In 'daynight' mode
+//     the scene's light also comes from the sun, and clouds darken past the
+//     terminator. Any other mode throws an error.
+//
+//   dayModeTransitionMs (default 1000)
+//     How long to crossfade from the old surface to the new one when the day
+//     mode is switched on the live globe with the new member function
+//     dayMode(mode), which returns a promise that resolves once the
+//     transition completes and any new globe image has loaded.
+//
+//   twilightBands (default null)
+//     Whether to tint the civil, nautical and astronomical twilight bands in
+//     'daynight' mode. True for the defaults, or a record overriding any of
+//     the bands:
+//     {
+//       civil:        { width: 6, tint: '#ff9a5a', opacity: .25 },
+//       nautical:     { width: 6, tint: '#5a6cc0', opacity: .2 },
+//       astronomical: { width: 6, tint: '#1c2460', opacity: .15 }
+//     }
+//     where width is how many degrees the sun drops below the horizon across
+//     the band.
+//
+//   twilightOutline (default null)
+//     Whether to outline the terminator and the edges of the twilight bands
+//     in 'daynight' mode. True for the defaults, or a record of the form:
+//       { color: 'white', width: 1, opacity: .6 }
+//     where width is in pixels.
+//
+//   time (default null)
+//     The simulated time (a Date or anything the Date constructor accepts)
+//     at which to place the sun in 'daynight' mode. Null for now.
+//     Note that the clock can also be changed with the new member functions
+//     time(date), timeScale(multiplier), play() and pause(), and observed
+//     with onTimeChange(cbfn). A time that isn't a date, or a timeScale that
+//     isn't a number, throws an error.
+//
+//   timeScale (default 1)
+//     How many times faster than real time the simulated clock runs. Use
+//     large values for a time-lapse of the terminator. Negative runs the
+//     clock backward. Zero stops it.
 //
 //   starsURL (default 'images/night-sky.png')
 //     The url of the background stars, used to fill the container's background.
 //
+//   keyboardNavigation (default false)
+//     Whether the globe can be driven from the keyboard once it has focus
+//     (it takes focus when tabbed to or clicked). The arrow keys pan north,
+//     south, west and east, + and - zoom in and out, space or S toggles the
+//     spin, and Home or R goes back to the starting view. Key presses count
+//     as interactions that stop the spin, and a live region announces the
+//     view for screen readers once each move settles.
+//
+//   describeLocation (default null)
+//     A function(latLngAlt) returning text that describes what's under the
+//     camera, for the keyboardNavigation live region to announce after the
+//     lat/lng/altitude. If null, it names the polygon under the camera and
+//     the nearest point (using their polygonLabel and pointLabel).
+//
 //   tiltCameraNearSurface (default true)
 //     Whether to tilt the camera (to look at the northern horizon) when very
 //     near the surface.
@@ -74,15 +278,114 @@
 //   receiveShadows (default false)
 //     Whether the surface should receive cast shadows
 //
+//   autoResize (default true)
+//     Whether to resize the globe whenever its container changes size, be it
+//     from the window resizing or from the layout around the container.
+//     If false, size the globe yourself with width() and height().
+//
+//   pixelRatio (default null)
+//     The renderer's pixel ratio. Null to leave it as globe.gl set it, a
+//     number to fix it, or 'device' to follow the device's pixel ratio even
+//     as the window moves between screens or is zoomed.
+//
+//   maxTextureWidth (default null)
+//     The widest image resolution to load, from planet images given as lists
+//     of resolutions. Null to choose from the GPU's limits and the device's
+//     memory.
+//
 //   maxPerformance (default false)
 //     Whether to increase performance at the expense of precision. If true,
 //     sets rendererConfig to:
 //       { antialias: false, alpha: false, precision: 'lowp' }
+//     and gives a star's surface (see the planet's star option) a coarser,
+//     cheaper churn.
+//
+//   adaptivePerformance (default false)
+//     Whether to watch the frame rate and, when it falls below targetFps,
+//     give up detail level by level until it holds: the pixel ratio (to
+//     three quarters), the clouds' rotation, shadows, the surface and cloud
+//     spheres' segments (to half, see globeCurvatureResolution) and the
+//     pixel ratio again (to half). When there's headroom again, the levels
+//     come back one by one. The new member function performanceLevel() gets
+//     the level, from 0 for full detail to 5, and the performanceLevel
+//     event fires as it changes.
+//
+//   targetFps (default 30)
+//     The frame rate adaptivePerformance tries to hold.
+//
+//   pauseWhenHidden (default true)
+//     Whether to pause rendering and every animation (the spin, clouds, sun,
+//     tours and crossfades) while the page is hidden or the container is
+//     scrolled off-screen. They carry on from where they were when shown,
+//     though rendering paused with pauseAnimation() stays paused until
+//     resumeAnimation().
 //
 // To provide a familiar view, the globe is initially set to show the user's
-// location, which is derived solely from the local timezone.
+// location, which by default is derived solely from the local time zone
+// (see the initialView option).
 // 
-// Resizing the globe's container automatically recenters/resizes the globe.
+// Resizing the globe's container automatically recenters/resizes the globe
+// (unless autoResize is false).
+//
+// The new member function tour(waypoints) flies the camera through a list
+// of { lat, lng, altitude, duration, easing, dwell, date } waypoints, pausing
+// auto-spin until it ends. It can be controlled with pauseTour(),
+// resumeTour() and cancelTour(), and observed with
+// onTourWaypointEnter(cbfn) and onTourWaypointLeave(cbfn). An unusable
+// waypoint throws an error saying what's wrong.
+//
+// The new member function getState() returns the globe's view and settings
+// as { lat, lng, altitude, tilt, planet, dayMode, clouds, spin, time }:
+// the camera, whether it tilts near the surface, the planet's name, the
+// day mode, whether clouds are shown, the spin speed (zero if stopped) and,
+// in 'daynight' mode, the simulated time placing the sun. setState(state,
+// transitionMs) sets any of them, returning a promise that resolves once
+// any planet or day mode switch completes.
+//
+// The new member function snapshot({ width, height, format, quality })
+// renders the globe into a PNG (the default), JPEG or WebP image, returning
+// a promise of its Blob. The new member function capture({ frames, fps,
+// state, tour, onFrame, ... }) renders a sequence of frames for a video,
+// stepping every animation by exactly 1/fps seconds per frame, so the same
+// options give the same frames every time. See their comments below.
+// HTML elements and labels aren't included in either.
+//
+// The new member function loadProgress() returns { loaded, total }, the
+// images loaded so far out of those requested since loading last settled,
+// and the loadProgress event fires as each starts and finishes.
+//
+// The new member functions on(event, handler) and off(event, handler)
+// let any number of handlers listen for each event (the on<Event>(cbfn)
+// setters still keep one handler each, alongside them). off(event) with no
+// handler removes them all. The events, and what handlers are called with:
+//   zoom (latLngAlt), globeReady (), interaction (),
+//   spinStart (speed), spinStop (),
+//   surfaceOpacity (opacity), surfaceFadeComplete (opacity of 0 or 1),
+//   dayModeChange (mode, once the crossfade completes),
+//   cloudsLoaded (), sunPosition ({ lat, lng, date }), timeChange (date),
+//   tourWaypointEnter (waypoint, index), tourWaypointLeave (waypoint, index),
+//   captureFrame (blob, index), performanceLevel (level),
+//   loadProgress (loaded, total), cloudsFrame ({ time, url }),
+//   error (err, when something fails in the background, such as loading),
+//   and globeClick, pointClick, arcClick, polygonClick, pathClick,
+//   heatmapClick, hexClick, hexPolygonClick, tileClick, particleClick,
+//   labelClick, objectClick and customLayerClick (as for on<Layer>Click),
+//   and pointHover, arcHover, polygonHover, pathHover, heatmapHover,
+//   hexHover, hexPolygonHover, tileHover, particleHover, labelHover,
+//   objectHover and customLayerHover (as for on<Layer>Hover).
+//
+// The planet's atmosphere glow replaces globe.gl's, so showAtmosphere(bool)
+// shows or hides it, and atmosphereColor(color) and
+// atmosphereAltitude(altitude) (and the options of the same names) override
+// the color and altitude from the planet record. Null goes back to the
+// planet's own.
+//
+// The new static function Globe.registerPlanet(name, record) adds a planet
+// (such as a moon, exoplanet or fictional world) that any globe can then
+// pick by name, and Globe.planets() lists the names of every planet.
+//
+// Call the new member function destroy() when done with the globe to stop
+// its timers and animations and release its listeners and GPU resources.
 //
 // To use this module, import it after including globe.gl, like this:
 //     <script language="javascript" src="globe.gl.min.js"></script>
@@ -92,7 +395,11 @@
 //       {
 //         "three": "https://cdn.jsdelivr.net/npm/three@0.181.2/build/three.module.js",
 //         "three/addons/": "https://cdn.jsdelivr.net/npm/three@0.181.2/examples/jsm/",
-//         "solar": "https://cdn.jsdelivr.net/npm/solar-calculator@0.3.0/+esm"
+//         "solar": "https://cdn.jsdelivr.net/npm/solar-calculator@0.3.0/+esm",
+//         "three-slippy-map-globe": "https://cdn.jsdelivr.net/npm/three-slippy-map-globe@1.0.6/dist/three-slippy-map-globe.mjs",
+//         "d3-octree": "https://cdn.jsdelivr.net/npm/d3-octree@1.1.0/+esm",
+//         "d3-scale": "https://cdn.jsdelivr.net/npm/d3-scale@4.0.2/+esm",
+//         "d3-geo": "https://cdn.jsdelivr.net/npm/d3-geo@3.1.1/+esm"
 //       }
 //     }
 //     </script>
@@ -104,131 +411,414 @@ const version = "1.0.0";
 
 const OrigGlobe = Globe;
 
-Globe = function(container, opts)
+// Planet details, by name. Add more with Globe.registerPlanet().
+// The images came from http://unpkg.com/three-globe/example/img/...
+// and from https://planetpixelemporium.com
+const _planet =
 {
-  Globe.globePrettyVersion = version;
+  earth:
+  {
+    radius: 6371, // in miles
+    atmosphere: 'earth',
 
-  Globe.THREE = null;
+    // Originally at http://unpkg.com/three-globe/example/img/earth-blue-marble.jpg
+    imageURL: './images/earth-day.jpg',
+
+    // Originally at http://unpkg.com/three-globe/example/img/earth-blue-marble.jpg
+    nightImageURL: './images/earth-night.jpg',
+
+    // Originally at http://unpkg.com/three-globe/example/img/earth-topology.png
+    bumpImageURL: './images/earth-bump.png',
+
+    // Originally at http://cdn.jsdelivr.net/npm/three-globe/example/img/earth-water.png
+    waterURL: './images/earth-water.png',
 
-  // Planet details
-  // The images came from http://unpkg.com/three-globe/example/img/...
-  // and from https://planetpixelemporium.com
-  const _planet =
+    // How much to exaggerate the bump map
+    bumpScale: 10,
+
+    // Altitude to show clouds
+    cloudsAltitude: 0.015,
+
+    // How fast to rotate the clouds in deg/frame
+    cloudsRotateSpeed: 0.006,
+
+    // The url of the clouds
+    cloudsURL: './images/earth-clouds.png'
+  },
+
+  moon:
   {
-    earth:
-    {
-      radius: 6371, // in miles
-      atmosphere: true,
+    radius: 1080,
+    atmosphere: false,
 
-      // Originally at http://unpkg.com/three-globe/example/img/earth-blue-marble.jpg
-      imageURL: './images/earth-day.jpg',
+    imageURL: './images/moon.jpg',
+    bumpImageURL: './images/moon_bump.jpg',
+    bumpScale: 1
+  },
 
-      // Originally at http://unpkg.com/three-globe/example/img/earth-blue-marble.jpg
-      nightImageURL: './images/earth-night.jpg',
+  mercury:
+  {
+    radius: 1516,
+    atmosphere: false,
 
-      // Originally at http://unpkg.com/three-globe/example/img/earth-topology.png
-      bumpImageURL: './images/earth-bump.png',
+    imageURL: './images/mercury.jpg',
+    bumpImageURL: './images/mercury-bump.jpg',
+    bumpScale: 1
+  },
 
-      // Originally at http://cdn.jsdelivr.net/npm/three-globe/example/img/earth-water.png
-      waterURL: './images/earth-water.png',
+  venus:
+  {
+    radius: 3760.4,
+    atmosphere: 'venus',
 
-      // How much to exaggerate the bump map
-      bumpScale: 10,
+    imageURL: './images/venus.jpg',
+    bumpImageURL: './images/venus-bump.jpg',
+    bumpScale: 1
+  },
 
-      // Altitude to show clouds
-      cloudsAltitude: 0.015,
+  mars:
+  {
+    radius: 2106,
+    atmosphere: 'mars',
 
-      // How fast to rotate the clouds in deg/frame
-      cloudsRotateSpeed: 0.006,
+    imageURL: './images/mars.jpg',
+    bumpImageURL: './images/mars-bump.jpg',
+    bumpScale: 1
+  },
 
-      // The url of the clouds
-      cloudsURL: './images/earth-clouds.png'
-    },
+  jupiter:
+  {
+    radius: 43441,
+    atmosphere: 'jupiter',
+    imageURL: './images/jupiter.jpg'
+  },
 
-    moon:
+  saturn:
+  {
+    radius: 36184,
+    atmosphere: 'saturn',
+    imageURL: './images/saturn.jpg',
+    rings:
     {
-      radius: 1080,
-      atmosphere: false,
-
-      imageURL: './images/moon.jpg',
-      bumpImageURL: './images/moon_bump.jpg',
-      bumpScale: 1
-    },
+      innerRadius: 1.24,
+      outerRadius: 2.27,
+      color: '#d8c9a8',
+      bands: [ { inner: 1.24, outer: 1.53, opacity: .25 },   // C ring
+               { inner: 1.53, outer: 1.95, opacity: .9 },    // B ring
+               { inner: 2.03, outer: 2.27, opacity: .6 } ]   // A ring, past the Cassini Division
+    }
+  },
 
-    mercury:
+  uranus:
+  {
+    radius: 15759,
+    atmosphere: 'uranus',
+    imageURL: './images/uranus.jpg',
+    rings:
     {
-      radius: 1516,
-      atmosphere: false,
+      innerRadius: 1.64,
+      outerRadius: 2.01,
+      color: '#9aa0a6',
+      bands: [ { inner: 1.64, outer: 1.655, opacity: .5 },   // 6, 5 and 4 rings
+               { inner: 1.675, outer: 1.685, opacity: .5 },
+               { inner: 1.745, outer: 1.76, opacity: .6 },   // Alpha ring
+               { inner: 1.79, outer: 1.805, opacity: .6 },   // Beta ring
+               { inner: 1.845, outer: 1.85, opacity: .4 },   // Eta ring
+               { inner: 1.86, outer: 1.87, opacity: .6 },    // Gamma ring
+               { inner: 1.885, outer: 1.895, opacity: .6 },  // Delta ring
+               { inner: 1.98, outer: 2.01, opacity: .9 } ]   // Epsilon ring
+    }
+  },
 
-      imageURL: './images/mercury.jpg',
-      bumpImageURL: './images/mercury-bump.jpg',
-      bumpScale: 1
-    },
+  neptune:
+  {
+    radius: 15299,
+    atmosphere: 'neptune',
+    imageURL: './images/neptune.jpg'
+  },
 
-    venus:
-    {
-      radius: 3760.4,
-      atmosphere: false,
+  pluto:
+  {
+    radius: 738.38,
+    atmosphere: false,
+    imageURL: './images/pluto.jpg',
+    bumpImageURL: './images/pluto-bump.jpg',
+    bumpScale: 1
+  },
+
+  sun:
+  {
+    radius: 432288,
+    atmosphere: 'corona',
+    imageURL: './images/sun.jpg',
+    star: true
+  }
+};
 
-      imageURL: './images/venus.jpg',
-      bumpImageURL: './images/venus-bump.jpg',
-      bumpScale: 1
-    },
+// Atmosphere presets, by name. Altitude is the glow's thickness in globe
+// radii, intensity its brightness, and power how sharply it fades outward.
+const _atmospheres =
+{
+  earth:   { color: 'lightskyblue', altitude: .15, intensity: 1, power: 3 },
+  venus:   { color: '#f2dca0', altitude: .2, intensity: 1.3 },   // Thick sulfuric haze
+  mars:    { color: '#e3a57c', altitude: .06, intensity: .5 },   // Thin and dusty
+  titan:   { color: '#e09a45', altitude: .3, intensity: 1.2 },   // Thick orange smog
+  jupiter: { color: '#dccbaa', altitude: .04, intensity: .6 },
+  saturn:  { color: '#e8d8aa', altitude: .04, intensity: .5 },
+  uranus:  { color: '#a3e4ec', altitude: .05, intensity: .7 },
+  neptune: { color: '#5e86e6', altitude: .05, intensity: .7 },
+  corona:  { color: '#ffb04a', altitude: .8, intensity: 1.4, power: 1.5 }
+};
+
+// Get the { color, altitude, intensity, power } for the given planet atmosphere
+// (true for Earth's, a preset name, or a record overriding any of Earth's),
+// or null for none
+const _getAtmosphere = function(atmosphere)
+{
+  if (!atmosphere)
+    return null;
+  if (atmosphere === true)
+    return _atmospheres.earth;
+  if (typeof atmosphere === 'string')
+    return _atmospheres[atmosphere];
+  return { ..._atmospheres.earth, ...atmosphere };
+};
+
+// Whether the given planet image is a URL, or a non-empty list of its
+// resolutions (smallest first), each a URL or { url, width }
+const _isImage = function(image)
+{
+  const isURL = url => typeof url === 'string' && !!url;
+  if (Array.isArray(image))
+    return image.length > 0 &&
+           image.every(level => isURL(level) ||
+                                (isURL(level?.url) && (level.width == null || level.width > 0)));
+  return isURL(image);
+};
+
+// Check that the given planet record is usable, throwing an error that
+// says what's wrong if not
+const _validatePlanet = function(record, name = 'planet')
+{
+  const fail = msg => { throw new Error(`globepretty: ${name} ${msg}`); };
 
-    mars:
-    {
-      radius: 2106,
-      atmosphere: false,
+  if (!record || typeof record !== 'object')
+    fail('must be a record of the form { radius, imageURL, ... }');
 
-      imageURL: './images/mars.jpg',
-      bumpImageURL: './images/mars-bump.jpg',
-      bumpScale: 1
-    },
+  if (!_isImage(record.imageURL))
+    fail('needs an imageURL, the URL of its day time image (or a list of its resolutions)');
 
-    jupiter:
-    {
-      radius: 43441,
-      atmosphere: false,
-      imageURL: './images/jupiter.jpg'
-    },
+  if (typeof record.radius !== 'number' || !(record.radius > 0) || record.radius === Infinity)
+    fail(`needs a radius (in miles) greater than 0, not ${record.radius}`);
 
-    saturn:
-    {
-      radius: 36184,
-      atmosphere: false,
-      imageURL: './images/saturn.jpg'
-    },
+  ['nightImageURL', 'bumpImageURL', 'waterURL'].forEach(key =>
+  {
+    if (record[key] != null && !_isImage(record[key]))
+      fail(`${key} must be a URL or a list of resolutions, not ${record[key]}`);
+  });
 
-    uranus:
+  const clouds = record.cloudsURL;
+  if (clouds != null && !_isImage(clouds))
+  {
+    if (typeof clouds !== 'object' || Array.isArray(clouds))
+      fail(`cloudsURL must be a URL, a list of resolutions or a sequence of frames, not ${clouds}`);
+    if (clouds.frames != null)
     {
-      radius: 15759,
-      atmosphere: false,
-      imageURL: './images/uranus.jpg'
-    },
+      if (!Array.isArray(clouds.frames) || !clouds.frames.length ||
+          clouds.frames.some(frame => !_isImage(frame?.url) || isNaN(new Date(frame.time))))
+        fail('cloudsURL frames must be a non-empty list of { time, url }');
+    }
+    else if (typeof clouds.url !== 'string' || !clouds.url || !(clouds.refreshMs > 0))
+      fail('cloudsURL needs either frames, or a url template and a refreshMs greater than 0');
+    else if (!/\$\{(time|timestamp)\}/.test(clouds.url))
+      fail('cloudsURL url needs ${time} or ${timestamp} in it, so each refresh fetches a new image');
+    if (clouds.refreshMs != null && !(clouds.refreshMs > 0 && clouds.refreshMs < Infinity))
+      fail(`cloudsURL refreshMs must be greater than 0, not ${clouds.refreshMs}`);
+    if (clouds.crossfadeMs != null && !(clouds.crossfadeMs >= 0))
+      fail(`cloudsURL crossfadeMs must not be negative, not ${clouds.crossfadeMs}`);
+    if (clouds.rotate != null && typeof clouds.rotate !== 'boolean')
+      fail(`cloudsURL rotate must be true or false, not ${clouds.rotate}`);
+  }
 
-    neptune:
-    {
-      radius: 15299,
-      atmosphere: false,
-      imageURL: './images/neptune.jpg'
-    },
+  ['bumpScale', 'cloudsAltitude', 'cloudsRotateSpeed'].forEach(key =>
+  {
+    if (record[key] != null && !Number.isFinite(record[key]))
+      fail(`${key} must be a number, not ${record[key]}`);
+  });
 
-    pluto:
-    {
-      radius: 738.38,
-      atmosphere: false,
-      imageURL: './images/pluto.jpg',
-      bumpImageURL: './images/pluto-bump.jpg',
-      bumpScale: 1
-    },
+  if (record.star != null && typeof record.star !== 'boolean')
+    fail(`star must be true or false, not ${record.star}`);
+
+  if (record.cloudsAltitude < 0)
+    fail(`cloudsAltitude must not be negative, not ${record.cloudsAltitude}`);
+
+  const atmosphere = record.atmosphere;
+  if (typeof atmosphere === 'string')
+  {
+    if (!Object.hasOwn(_atmospheres, atmosphere))
+      fail(`atmosphere '${atmosphere}' is unknown. Known atmospheres are ` +
+           `${Object.keys(_atmospheres).join(', ')}.`);
+  }
+  else if (atmosphere && typeof atmosphere === 'object')
+  {
+    if (atmosphere.color != null && typeof atmosphere.color !== 'string')
+      fail(`atmosphere color must be a color string, not ${atmosphere.color}`);
+    if (atmosphere.altitude != null && !(atmosphere.altitude > 0 && atmosphere.altitude < Infinity))
+      fail(`atmosphere altitude must be greater than 0, not ${atmosphere.altitude}`);
+    if (atmosphere.intensity != null && !(atmosphere.intensity >= 0 && atmosphere.intensity < Infinity))
+      fail(`atmosphere intensity must not be negative, not ${atmosphere.intensity}`);
+    if (atmosphere.power != null && !(atmosphere.power > 0 && atmosphere.power < Infinity))
+      fail(`atmosphere power must be greater than 0, not ${atmosphere.power}`);
+  }
+  else if (atmosphere != null && typeof atmosphere !== 'boolean')
+    fail(`atmosphere must be true, false, a preset name or { color, altitude, intensity }, ` +
+         `not ${atmosphere}`);
+
+  const rings = record.rings;
+  if (rings != null)
+  {
+    if (typeof rings !== 'object')
+      fail('rings must be a record of the form { innerRadius, outerRadius, ... }');
+    if (!(rings.innerRadius > 0) || !(rings.outerRadius > rings.innerRadius) ||
+        !Number.isFinite(rings.outerRadius))
+      fail(`rings need an innerRadius greater than 0 and an outerRadius greater than that ` +
+           `(in planet radii), not ${rings.innerRadius} and ${rings.outerRadius}`);
+    if (rings.imageURL != null && (typeof rings.imageURL !== 'string' || !rings.imageURL))
+      fail(`rings imageURL must be a URL, not ${rings.imageURL}`);
+    if (rings.opacity != null && !(rings.opacity >= 0 && rings.opacity <= 1))
+      fail(`rings opacity must be between 0 and 1, not ${rings.opacity}`);
+    if (rings.tilt != null && !Number.isFinite(rings.tilt))
+      fail(`rings tilt must be a number of degrees, not ${rings.tilt}`);
+    if (rings.bands != null && (!Array.isArray(rings.bands) ||
+                                rings.bands.some(b => !(b?.outer > b?.inner))))
+      fail('rings bands must be a list of { inner, outer, opacity } with outer greater than inner');
+  }
+};
+
+// Get the planet record for the given name or record, throwing an error if
+// there's no such planet or the record is unusable
+const _getPlanet = function(p)
+{
+  if (typeof p === 'object')
+  {
+    _validatePlanet(p);
+    return p;
+  }
+
+  if (!Object.hasOwn(_planet, p))
+    throw new Error(`globepretty: unknown planet '${p}'. ` +
+                    `Known planets are ${Object.keys(_planet).join(', ')}, ` +
+                    `or register more with Globe.registerPlanet(name, record).`);
+  return _planet[p];
+};
+
+// Whether the given view is a record of { lat, lng, altitude }, any of
+// which may be left out
+const _isView = function(view)
+{
+  return !!view && typeof view === 'object' &&
+         ['lat', 'lng', 'altitude'].every(key => view[key] == null || Number.isFinite(view[key]));
+};
+
+// Easing functions by name, taking and returning 0..1
+const _easings =
+{
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - (1 - t) ** 3,
+  easeInOut: t => t < .5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2
+};
+
+// Check the surface fade options, throwing an error if they're unusable
+const _checkSurfaceFade = function(opts)
+{
+  const start = opts.surfaceFadeStartAltitude;
+  const end = opts.surfaceFadeEndAltitude;
+  if (!(Number.isFinite(start) && Number.isFinite(end) && start > end))
+    throw new Error('globepretty: surfaceFadeStartAltitude must be a number greater than ' +
+                    `surfaceFadeEndAltitude, not ${start} and ${end}`);
+
+  const easing = opts.surfaceFadeEasing;
+  if (typeof easing !== 'function' && !Object.hasOwn(_easings, easing))
+    throw new Error(`globepretty: surfaceFadeEasing '${easing}' is unknown. Known easings are ` +
+                    `${Object.keys(_easings).join(', ')}, or a function.`);
+};
+
+// Check the initialView option, throwing an error if it's unusable
+const _validateInitialView = function(strategy)
+{
+  if (strategy && typeof strategy === 'object')
+  {
+    if (!_isView(strategy))
+      throw new Error('globepretty: initialView lat, lng and altitude must be numbers');
+  }
+  else if (strategy && strategy !== 'timezone' && strategy !== 'geolocation' &&
+           typeof strategy !== 'function')
+    throw new Error(`globepretty: unknown initialView '${strategy}'. Use a ` +
+                    `{ lat, lng, altitude } record, 'geolocation', 'timezone', ` +
+                    `a function, or null.`);
+};
+
+// The kinds of input that can count as interactions
+const _inputKinds = ['pointer', 'touch', 'wheel', 'keyboard', 'hover', 'controls'];
+
+// Get whether each kind of input counts as an interaction, from the
+// interactionInputs option, throwing an error if it's unusable
+const _getInputs = function(option)
+{
+  if (option != null && typeof option !== 'boolean' && (typeof option !== 'object' || Array.isArray(option)))
+    throw new Error(`globepretty: interactionInputs must be true, false or a record of ` +
+                    `{ ${_inputKinds.join(', ')} }, not ${option}`);
 
-    sun:
+  const inputs = Object.fromEntries(_inputKinds.map(kind => [kind, option !== false]));
+  if (option && option !== true)
+  {
+    Object.entries(option).forEach(([kind, on]) =>
     {
-      radius: 432288,
-      atmosphere: false,
-      imageURL: './images/sun.jpg'
-    }
-  };
+      if (!_inputKinds.includes(kind))
+        throw new Error(`globepretty: unknown interaction input '${kind}'. ` +
+                        `Known inputs are ${_inputKinds.join(', ')}.`);
+      inputs[kind] = !!on;
+    });
+  }
+  return inputs;
+};
+
+// Check a globe.gl atmosphere option, which we apply to our glow, throwing
+// an error if it's unusable
+const _checkAtmosphereOption = function(name, value)
+{
+  if (value == null)
+    return;
+  if (name === 'atmosphereColor' && (typeof value !== 'string' || !value))
+    throw new Error(`globepretty: atmosphereColor must be a color string, not ${value}`);
+  if (name === 'atmosphereAltitude' && !(value > 0 && value < Infinity))
+    throw new Error(`globepretty: atmosphereAltitude must be greater than 0, not ${value}`);
+};
+
+// Check the time or timeScale option, or a value for the member function of
+// the same name, throwing an error if it's unusable
+const _checkClockOption = function(name, value)
+{
+  if (name === 'time' && value != null && isNaN(new Date(value)))
+    throw new Error(`globepretty: time needs a date, not ${value}`);
+  if (name === 'timeScale' && !Number.isFinite(value))
+    throw new Error(`globepretty: timeScale must be a number, not ${value}`);
+};
+
+// The day modes, for which we throw an error on any other
+const _dayModes = ['day', 'night', 'daynight'];
+const _checkDayMode = function(mode)
+{
+  if (!_dayModes.includes(mode))
+    throw new Error(`globepretty: dayMode must be one of ${_dayModes.join(', ')}, not ${mode}`);
+};
+
+Globe = function(container, opts)
+{
+  Globe.globePrettyVersion = version;
+
+  Globe.THREE = null;
 
   // Add defaults
   opts = { 
@@ -243,564 +833,3733 @@ Globe = function(container, opts)
            // that stops the globe rotation
            interactionSpinThreshold: .01,
 
+           // Which kinds of input (pointer, touch, wheel, keyboard, hover and
+           // controls) count as interactions that stop the globe rotation
+           interactionInputs: true,
+
            // When zoomed in to greater than this altitude, do not spin the globe
            onlySpinAboveAltitude: .4,
 
+           // Where the camera starts: a { lat, lng, altitude } record,
+           // 'geolocation', 'timezone', a function(timezoneView) returning the
+           // view or a promise of it, or null to leave it be
+           initialView: 'timezone',
+
+           // Whether to keep the view and settings (see getState()) in
+           // location.hash, restoring them from it on load
+           syncHash: false,
+
            // Whether to show clouds
            showClouds: true,
 
            // Whether to show slippy tiles for infinite zoom
            tileEngineURL: 'https://tile.openstreetmap.org/${l}/${x}/${y}.png',
 
+           // The subdomains to rotate through for {s} in tileEngineURL
+           tileSubdomains: 'abc',
+
+           // Whether {r} in tileEngineURL asks for @2x retina tiles. True,
+           // false, or 'auto' for high pixel ratio devices
+           tileRetina: false,
+
+           // Other values to fill in tileEngineURL, such as API keys
+           tileParams: {},
+
+           // Slippy tile overlays to stack above the tileEngineURL tiles, each
+           // { url, opacity, minAltitude, maxAltitude, minLevel, maxLevel }
+           tileLayers: [],
+
+           // The altitudes between which the surface image fades out to reveal
+           // the slippy tiles, and how it fades
+           surfaceFadeStartAltitude: 1,
+           surfaceFadeEndAltitude: .4,
+           surfaceFadeEasing: 'linear',
+
            // The altitude at which to place the planet surface image so that it
            // appears above the slippy tiles (if present) and below the clouds
            surfaceAltitude: 0.01,
 
            // Specify the planet to use: earth, moon, mercury, venus, mars, jupiter,
-           // saturn, uranus, neptune, pluto, or sun
+           // saturn, uranus, neptune, pluto, sun, any registered planet, or a record
            planet: 'earth',
 
            // Specify one of 'day', 'night', or 'daynight' (which blends day/night
            // images according to where the sun is right now)
            dayMode: 'day',
 
+           // Whether to tint the twilight bands in 'daynight' mode. True for
+           // the defaults, or a record overriding any of the civil, nautical
+           // and astronomical bands' { width, tint, opacity }
+           twilightBands: null,
+
+           // Whether to outline the terminator and twilight bands in
+           // 'daynight' mode. True for the defaults, or { color, width, opacity }
+           twilightOutline: null,
+
+           // The simulated time used to place the sun in 'daynight' mode.
+           // Null for now.
+           time: null,
+
+           // How many times faster than real time the simulated clock runs
+           timeScale: 1,
+
+           // How long to crossfade between surfaces when switching day modes
+           dayModeTransitionMs: 1000,
+
            // The url of the background stars
            starsURL: './images/night-sky.png',
 
+           // Whether the arrow, plus, minus, space and Home keys move and spin
+           // the globe, and a live region announces the view for screen readers
+           keyboardNavigation: false,
+
+           // A function(latLngAlt) describing what's under the camera for the
+           // live region. Null to name the polygon and nearest point under it.
+           describeLocation: null,
+
            // Whether to tilt the camera when very near the surface
            tiltCameraNearSurface: true,
 
+           // The widest planet image resolution to load. Null to choose from
+           // the GPU's limits and the device's memory.
+           maxTextureWidth: null,
+
            // Whether to increase performance at the expense of precision
            maxPerformance: false,
 
+           // Whether to give up detail as needed to hold targetFps, and take
+           // it back when there's headroom
+           adaptivePerformance: false,
+           targetFps: 30,
+
+           // Whether to pause rendering and animations while the page is
+           // hidden or the container is scrolled off-screen
+           pauseWhenHidden: true,
+
            // Whether the surface should receive shadows cast by other objects in
            // the scene
            receiveShadows: false,
 
+           // Whether to resize the globe whenever its container changes size
+           autoResize: true,
+
+           // The renderer's pixel ratio. Null to leave it as is, a number to
+           // fix it, or 'device' to follow the device's pixel ratio
+           pixelRatio: null,
+
            ...opts };
 
   if (opts.maxPerformance)
     opts.rendererConfig = { antialias: false, alpha: false, precision: 'lowp' };
 
+  // Check the options up front, before globe.gl builds anything
+  let planet = _getPlanet(opts.planet);
+  _checkDayMode(opts.dayMode);
+  _checkSurfaceFade(opts);
+  _checkClockOption('time', opts.time);
+  _checkClockOption('timeScale', opts.timeScale);
+  _validateInitialView(opts.initialView);
+  const _inputs = _getInputs(opts.interactionInputs);
+  _checkAtmosphereOption('atmosphereColor', opts.atmosphereColor);
+  _checkAtmosphereOption('atmosphereAltitude', opts.atmosphereAltitude);
+
   const g = new OrigGlobe(container, opts);
 
   let controls = g.controls();
   const camera = g.camera();
 
-  // Apply tile server if given
-  if (opts.tileEngineURL)
-  {
-    g.globeTileEngineUrl((x, y, l) => opts.tileEngineURL.replace('${x}', x)
-                                                        .replace('${y}', y)
-                                                        .replace('${l}', l));
-  }
-
-  // Use the given planet or the one specified by name
-  const planet = typeof opts.planet == 'object'
-                   ? opts.planet : _planet[opts.planet];
- 
-  // If there's no night image for this planet, we must use day mode
-  if (!planet.nightImageURL)
-    opts.dayMode = 'day';
-
-  // Apply images
-  if (!opts.tileEngineURL && planet?.imageURL && opts.dayMode !== 'daynight')
-    g.globeImageUrl(opts.dayMode === 'night' ? planet.nightImageURL : planet.imageURL);
-  if (!opts.tileEngineURL && planet?.bumpImageURL && opts.dayMode !== 'daynight')
-    g.bumpImageUrl(planet.bumpImageURL);
-  if (opts.starsURL)
-    g.backgroundImageUrl(opts.starsURL);
-  if (planet?.atmosphere)
-    g.showAtmosphere(planet.atmosphere);
-
   ///////////////////////////////////////////////////////////////////////////
-  // GLOBE READY OVERRIDE
+  // EVENTS
   ///////////////////////////////////////////////////////////////////////////
-  let _globeReadyCbfn;
-  let _globeready = false;
-
-  g.onGlobeReady(async () =>
-  {
-    // Face the user's longitude
-    const _userLatLng = _getUserLatLng();
-    g.pointOfView(_userLatLng);
-
-    // Auto-rotate the globe if requested
-    g.spinGlobe(opts.autoRotateSpeed);
 
-    if (opts.tileEngineURL || opts.dayMode === 'daynight')
-      await _showSurface();
-    if (opts.showClouds)
-      await g.showClouds(true);
-
-    if (_globeReadyCbfn)
-      _globeReadyCbfn();
-
-    setTimeout(() => _globeready = true, 1);
-  });
-
-  // Get a very approx lat/lng for user without geolocating - just good
-  // enough for initial view of the planet
-  const _getUserLatLng = function()
+  // The layers whose clicks we watch, each firing a '<layer>Click' event
+  const _clickLayers = ['Globe', 'Point', 'Arc', 'Polygon', 'Path', 'Heatmap', 'Hex',
+                        'HexPolygon', 'Tile', 'Particle', 'Label', 'Object', 'CustomLayer'];
+
+  // The layers whose hovers we watch, each firing a '<layer>Hover' event
+  // (globe.gl has no globe hover)
+  const _hoverLayers = _clickLayers.filter(el => el !== 'Globe');
+
+  // The events that can be listened for
+  const _events = new Set(['zoom', 'globeReady', 'interaction', 'spinStart', 'spinStop',
+                           'surfaceOpacity', 'surfaceFadeComplete', 'dayModeChange',
+                           'cloudsLoaded', 'sunPosition', 'timeChange',
+                           'tourWaypointEnter', 'tourWaypointLeave', 'captureFrame',
+                           'performanceLevel', 'loadProgress', 'cloudsFrame', 'error',
+                           ..._clickLayers.map(el => el[0].toLowerCase() + el.slice(1) + 'Click'),
+                           ..._hoverLayers.map(el => el[0].toLowerCase() + el.slice(1) + 'Hover')]);
+
+  // The handlers for each event, and the one each on<Event>(cbfn) setter
+  // keeps among them
+  const _listeners = {};
+  const _slotListeners = {};
+
+  // Calls the given handler whenever the given event happens, along with
+  // any other handlers for it
+  g.on = function(event, handler)
   {
-    // Use timezone offset to derive an approx longitude
-    const date = new Date();
-    const offsetHrs = date.getTimezoneOffset() / -60;
-    const lng = offsetHrs * 15;
-
-    // Use daylight savings time to derive N/S hemisphere
-    const yr = date.getFullYear();
-    let jan = -(new Date(yr, 0, 1, 0, 0, 0, 0).getTimezoneOffset());
-    let jul = -(new Date(yr, 6, 1, 0, 0, 0, 0).getTimezoneOffset());
-    const lat = jan - jul < 0 ? 30 : (jan - jul > 0 ? -30 : 0);
+    _checkEvent(event);
+    if (typeof handler !== 'function')
+      throw new Error(`globepretty: the handler for '${event}' must be a function`);
 
-    return { lat, lng };
-  }
+    (_listeners[event] ??= new Set()).add(handler);
+    return g;
+  };
 
-  g.onGlobeReady = function(cbfn)
+  // Stops calling the given handler for the given event, or every handler
+  // for it if none is given
+  g.off = function(event, handler)
   {
-    _globeReadyCbfn = cbfn;
+    _checkEvent(event);
+    if (handler === undefined)
+    {
+      _listeners[event]?.clear();
+      _slotListeners[event] = null;
+    }
+    else
+      _listeners[event]?.delete(handler);
     return g;
   };
 
-  ///////////////////////////////////////////////////////////////////////////
-  // INTERACTIONS
-  ///////////////////////////////////////////////////////////////////////////
+  const _checkEvent = function(event)
+  {
+    if (!_events.has(event))
+      throw new Error(`globepretty: unknown event '${event}'. ` +
+                      `Known events are ${[..._events].join(', ')}.`);
+  };
 
-  let _nonInteractionTimer;
+  // Replace the handler kept by an on<Event>(cbfn) setter, leaving those
+  // added with on() alone
+  const _setSlotListener = function(event, cbfn)
+  {
+    if (_slotListeners[event])
+      _listeners[event]?.delete(_slotListeners[event]);
+    _slotListeners[event] = cbfn || null;
+    if (cbfn)
+      g.on(event, cbfn);
+  };
 
-  let _onInteraction = function()
+  // Call every handler for the given event with the given arguments. A
+  // handler that throws doesn't keep the rest from being called; its error
+  // is thrown again afterwards, so it still shows up as uncaught.
+  const _emit = function(event, ...args)
   {
-    // Do nothing if globe isn't ready yet
-    if (!_globeready)
+    if (!_listeners[event])
       return;
 
-    // Wait to start the globe spinning if so instructed
-    if (opts.autoSpinAfterIdleMs > 0)
+    [..._listeners[event]].forEach(handler =>
     {
-      g.spinGlobe(0);
-      if (_nonInteractionTimer)
-        clearTimeout(_nonInteractionTimer);
-      _nonInteractionTimer = setTimeout(() =>
+      try
       {
-        _nonInteractionTimer = null;
+        handler(...args);
+      }
+      catch (err)
+      {
+        queueMicrotask(() => { throw err; });
+      }
+    });
+  };
 
-        // If we are too zoomed in, don't spin
-        const latlngalt = g.pointOfView();
-        if (latlngalt.altitude > opts.onlySpinAboveAltitude)
-          g.spinGlobe();
-      }, opts.autoSpinAfterIdleMs);
-    }
-  }
+  ///////////////////////////////////////////////////////////////////////////
+  // TILES
+  ///////////////////////////////////////////////////////////////////////////
 
-  // Override zoom so we catch interactions that stop the globe spin and so
-  // we can change the surface opacity if applicable
-  let _onZoomCbfn;
-  let _prevLatLngAlt;
-  const minAlt = .0000382;
-  g.onZoom(latLngAlt =>
+  // Fill in the given tile URL template (or call the given function) for
+  // the tile at x, y and zoom level l. Both ${name} and {name} placeholders
+  // are replaced, and any with no value are left as is.
+  const _tileURL = function(template, x, y, l)
   {
-    // We only count altitude changes as an interaction
-    if (_prevLatLngAlt?.altitude != null &&
-        Math.abs(_prevLatLngAlt.altitude - latLngAlt.altitude) > opts.interactionSpinThreshold)  
-      _onInteraction();
+    if (typeof template === 'function')
+      return template(x, y, l);
 
-    // If there was a noticeable altitude change
-    if (Math.abs(_prevLatLngAlt?.altitude - latLngAlt.altitude) > .00001)
+    const subdomains = opts.tileSubdomains;
+    const retina = opts.tileRetina === 'auto' ? window.devicePixelRatio > 1 : opts.tileRetina;
+    const values =
     {
-      // Handle surface opacity
-      _changeSurfaceOpacity(latLngAlt.altitude);
-    }
+      ...opts.tileParams,
+      x, y, l,
+      z: l,
+      '-y': 2 ** l - 1 - y,                             // TMS counts rows from the south
+      s: subdomains[Math.abs(x + y) % subdomains.length],
+      r: retina ? '@2x' : '',
+      quadkey: _quadkey(x, y, l)
+    };
+    return template.replace(/\$?\{(-?\w+)\}/g, (match, name) => values[name] ?? match);
+  };
 
-    // If there was a noticeable altitude change
-    if (opts.tiltCameraNearSurface && 
-        (_prevLatLngAlt?.altitude > minAlt || latLngAlt.altitude > minAlt))
+  // Get the Bing-style quadkey of the given tile
+  const _quadkey = function(x, y, l)
+  {
+    let quadkey = '';
+    for (let i = l; i > 0; i--)
     {
-      // Handle camera tilt as we near the surface
-      _changeCameraAngle(latLngAlt);
+      const mask = 1 << (i - 1);
+      quadkey += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
     }
+    return quadkey;
+  };
 
-    // Handle day/night shading
-    if (_prevLatLngAlt?.lat != latLngAlt.lat || _prevLatLngAlt?.lng != latLngAlt.lng)
-      _updateSunRotation(latLngAlt);
+  // Apply tile server if given
+  if (opts.tileEngineURL)
+    g.globeTileEngineUrl((x, y, l) => _tileURL(opts.tileEngineURL, x, y, l));
 
-    _prevLatLngAlt = latLngAlt;
+  ///////////////////////////////////////////////////////////////////////////
+  // TILE LAYERS
+  ///////////////////////////////////////////////////////////////////////////
 
-    if (_onZoomCbfn)
-      _onZoomCbfn();
-  });
-  g.onZoom = function(cbfn)
+  // The tile overlays asked for, and the { layer, obj } shown for each once
+  // the globe is ready
+  let _tileLayers = opts.tileLayers || [];
+  let _tileLayerObjs = [];
+  let _tileLayersReady = false;
+  let _tileLayerCamera;
+
+  // Gets the tile overlays, or replaces them with the given ones. Returns a
+  // promise that resolves to the globe once the new layers are in place.
+  g.tileLayers = function(layers)
   {
-    _onZoomCbfn = cbfn;
-    return g;
+    if (layers === undefined)
+      return _tileLayers;
+
+    _tileLayers = layers || [];
+    if (!_tileLayersReady)
+      return Promise.resolve(g);
+    return _showTileLayers().then(() => g);
   };
 
-  // Override clicks so we catch interactions that stop the globe spin
-  const _onClickCbfn = {};
-  ['Globe', 'Point', 'Arc', 'Polygon', 'Path', 'Heatmap', 'Hex',
-   'HexPolygon', 'Tile', 'Particle', 'Label', 'Object', 'CustomLayer'].forEach(el =>
+  // Replace any shown tile overlays with the ones asked for
+  const _showTileLayers = async function()
   {
-    g['on' + el + 'Click']((...args) =>
+    _removeTileLayers();
+
+    const layers = _tileLayers;
+    if (!layers.length)
+      return;
+
+    await _loadThreeJS();
+    let SlippyMapGlobe;
+    try
     {
-      _onInteraction();
-      if (_onClickCbfn[el])
-        _onClickCbfn[el](...args);
-    });
-    g['on' + el + 'Click'] = function(cbfn)
+      ({ default: SlippyMapGlobe } = await import('three-slippy-map-globe'));
+    }
+    catch (err)
     {
-      _onClickCbfn[el] = cbfn;
-      return g;
+      _emit('error', err);
+      return;
+    }
+
+    // Bail if the layers were replaced or the globe destroyed meanwhile
+    if (layers !== _tileLayers || _destroyed)
+      return;
+
+    // globe.gl bundles its own three.js, whose camera the layers don't
+    // recognize, so they follow a camera of ours that mirrors it
+    _tileLayerCamera = new Globe.THREE.PerspectiveCamera();
+
+    const radius = g.getGlobeRadius();
+    _tileLayerObjs = layers.map((layer, i) =>
+    {
+      layer = { opacity: 1, minAltitude: 0, maxAltitude: Infinity, minLevel: 0, maxLevel: 17, ...layer };
+
+      // Stack each layer a hair above the base tiles and the layers before it
+      const obj = new SlippyMapGlobe(radius * (1 + (i + 1) * 1e-6),
+                                     { tileUrl: (x, y, l) => _tileURL(layer.url, x, y, l),
+                                       minLevel: layer.minLevel,
+                                       maxLevel: layer.maxLevel });
+
+      // Tiles are added as they load, so blend each one in then
+      obj.addEventListener('childadded', ({ child: tile }) =>
+      {
+        tile.material.transparent = true;
+        tile.material.opacity = layer.opacity;
+        tile.material.polygonOffset = true;
+        tile.material.polygonOffsetFactor = -1;
+        tile.material.polygonOffsetUnits = -4 * (i + 1);
+
+        // Draw the layers in order, before the surface and clouds
+        tile.renderOrder = i - layers.length;
+      });
+
+      g.scene().add(obj);
+      return { layer, obj };
+    });
+
+    _updateTileLayers(g.pointOfView().altitude);
+  };
+
+  // Show the tile overlays meant for the given altitude, and have them
+  // fetch the tiles the camera now sees
+  const _updateTileLayers = function(altitude)
+  {
+    if (!_tileLayerObjs.length)
+      return;
+
+    _tileLayerCamera.position.copy(camera.position);
+    _tileLayerCamera.quaternion.copy(camera.quaternion);
+    _tileLayerCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+    _tileLayerObjs.forEach(({ layer, obj }) =>
+    {
+      obj.visible = altitude >= layer.minAltitude && altitude <= layer.maxAltitude;
+      if (obj.visible)
+        obj.updatePov(_tileLayerCamera);
+    });
+  };
+
+  // Remove the tile overlays and release their tiles
+  const _removeTileLayers = function()
+  {
+    _tileLayerObjs.forEach(({ obj }) =>
+    {
+      obj.clearTiles();
+      g.scene().remove(obj);
+      obj.traverse(child => child.isMesh && _disposeMesh(child));
+    });
+    _tileLayerObjs = [];
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // IMAGES
+  ///////////////////////////////////////////////////////////////////////////
+
+  // The widest image worth loading: as wide as the GPU takes, but less on
+  // devices short of memory (which only some browsers tell us)
+  const _maxTextureWidth = function()
+  {
+    if (opts.maxTextureWidth)
+      return opts.maxTextureWidth;
+
+    const memory = navigator.deviceMemory;
+    const forMemory = memory == null ? Infinity : memory <= 2 ? 4096 : memory <= 4 ? 8192 : Infinity;
+    return Math.min(g.renderer().capabilities.maxTextureSize || 4096, forMemory);
+  };
+
+  // The URLs of the given planet image's resolutions worth loading,
+  // smallest first. Those without a width are always worth it, and the
+  // smallest always is.
+  const _imageURLs = function(image)
+  {
+    if (!Array.isArray(image))
+      return [image];
+
+    const levels = image.map(level => typeof level === 'string' ? { url: level } : level);
+    const max = _maxTextureWidth();
+    const fitting = levels.filter(level => !(level.width > max));
+    return (fitting.length ? fitting : levels.slice(0, 1)).map(level => level.url);
+  };
+
+  // How many of the images being loaded have loaded. Starts over with the
+  // next image once all have.
+  const _loadProgress = { loaded: 0, total: 0 };
+
+  // Gets the progress loading the planet's images, as { loaded, total }
+  g.loadProgress = function()
+  {
+    return { ..._loadProgress };
+  };
+
+  // Count the given image load towards the load progress
+  const _trackLoad = function(promise)
+  {
+    if (_loadProgress.loaded === _loadProgress.total)
+      _loadProgress.loaded = _loadProgress.total = 0;
+    _loadProgress.total++;
+    _emit('loadProgress', _loadProgress.loaded, _loadProgress.total);
+
+    const loaded = () =>
+    {
+      _loadProgress.loaded++;
+      _emit('loadProgress', _loadProgress.loaded, _loadProgress.total);
+    };
+    promise.then(loaded, loaded);
+    return promise;
+  };
+
+  const _loadTexture = function(url)
+  {
+    return _trackLoad(new Globe.THREE.TextureLoader().loadAsync(url));
+  };
+
+  // Load the smallest resolution of the given planet image, if any. Resolves
+  // to { texture, upgrade(mesh) }, where upgrade swaps each larger
+  // resolution into the mesh using the texture as it loads.
+  const _loadProgressive = async function(image)
+  {
+    if (!image)
+      return { texture: null, upgrade: () => {} };
+
+    const [first, ...rest] = _imageURLs(image);
+    const texture = await _loadTexture(first);
+
+    const upgrade = async function(mesh)
+    {
+      let current = texture;
+      for (const url of rest)
+      {
+        let next;
+        try
+        {
+          next = await _loadTexture(url);
+        }
+        catch (err)
+        {
+          _emit('error', err);
+          return;
+        }
+
+        // Give up if the mesh was thrown away while we were loading
+        if (mesh.userData.disposed || _destroyed)
+        {
+          next.dispose();
+          return;
+        }
+        _swapTexture(mesh, current, next);
+        current = next;
+      }
+    };
+    return { texture, upgrade };
+  };
+
+  // Replace the given texture wherever the mesh's materials use it
+  const _swapTexture = function(mesh, old, next)
+  {
+    [].concat(mesh.material).forEach(mat =>
+    {
+      Object.keys(mat).forEach(key => mat[key] === old && (mat[key] = next));
+      Object.values(mat.uniforms || {}).forEach(u => u.value === old && (u.value = next));
+    });
+    old.dispose();
+  };
+
+  // Load the given image into the browser's cache
+  const _preloadImage = function(url)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`globepretty: could not load ${url}`));
+      image.src = url;
+    });
+  };
+
+  // Give globe.gl's own globe the smallest resolution of the given image,
+  // then each larger one as it loads (letting the browser cache each one
+  // first), unless the planet or day mode changes meanwhile. Resolves once
+  // the smallest is on the globe.
+  const _setGlobeImage = async function(setter, image)
+  {
+    const [first, ...rest] = image ? _imageURLs(image) : [null];
+
+    const forplanet = planet;
+    const formode = opts.dayMode;
+    const show = async function(url)
+    {
+      // Wait even for no image, as the globe may still be being built
+      try
+      {
+        await (url && _trackLoad(_preloadImage(url)));
+      }
+      catch (err)
+      {
+        _emit('error', err);
+        return false;
+      }
+      if (planet !== forplanet || opts.dayMode !== formode || _destroyed)
+        return false;
+      setter(url);
+      return true;
     };
+
+    if (!await show(first))
+      return;
+    (async () =>
+    {
+      for (const url of rest)
+        if (!await show(url))
+          return;
+    })();
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // PLANET
+  ///////////////////////////////////////////////////////////////////////////
+
+  // The day mode asked for, which the planet may not support
+  let _dayMode = opts.dayMode;
+
+  // The planet's atmosphere { color, altitude, intensity }, if any
+  let _atmosphere = null;
+
+  // The color and altitude given with globe.gl's atmosphereColor and
+  // atmosphereAltitude, which override the planet's own
+  const _atmosphereOverrides = { color: opts.atmosphereColor, altitude: opts.atmosphereAltitude };
+
+  // Apply the planet's images and atmosphere to the globe itself. Resolves
+  // once the globe's images are on it.
+  const _applyPlanet = function()
+  {
+    _applyDayMode();
+    _applyAtmosphere();
+    return _applyGlobeImages();
+  };
+
+  const _applyAtmosphere = function()
+  {
+    _atmosphere = _getAtmosphere(planet.atmosphere);
+    if (_atmosphere)
+      Object.entries(_atmosphereOverrides).forEach(([key, value]) =>
+      {
+        if (value != null)
+          _atmosphere = { ..._atmosphere, [key]: value };
+      });
+  };
+
+  const _applyDayMode = function()
+  {
+    // If there's no night image for this planet, we must use day mode
+    opts.dayMode = planet.nightImageURL ? _dayMode : 'day';
+  };
+
+  const _applyGlobeImages = function()
+  {
+    if (opts.tileEngineURL || opts.dayMode === 'daynight')
+      return Promise.resolve();
+
+    return Promise.all([
+      _setGlobeImage(url => g.globeImageUrl(url),
+                     opts.dayMode === 'night' ? planet.nightImageURL : planet.imageURL),
+      _setGlobeImage(url => g.bumpImageUrl(url), planet.bumpImageURL)
+    ]);
+  };
+
+  _applyPlanet();
+
+  if (opts.starsURL)
+    g.backgroundImageUrl(opts.starsURL);
+
+  // Gets the current planet record, or switches the live globe to the given
+  // planet (by name or record). When switching, returns a promise that
+  // resolves once the new planet's surface (or globe image) and clouds have
+  // loaded.
+  g.planet = function(p)
+  {
+    if (p === undefined)
+      return planet;
+
+    planet = _getPlanet(p);
+    const globeImages = _applyPlanet();
+    _scheduleHashUpdate();
+
+    // Until the globe is ready, its ready handler builds the rest, over
+    // again if it's already under way
+    if (!_globeready)
+    {
+      _rebuildPlanet = !!_readying;
+      return Promise.all([globeImages, _readying]).then(() => g);
+    }
+
+    return Promise.all([_buildPlanet(), globeImages]).then(() => g);
+  };
+
+  // Build the current planet's surface, clouds, rings and atmosphere, in
+  // place of any already built
+  const _buildPlanet = async function()
+  {
+    _removeSurface();
+    _removeClouds();
+    _removeRings();
+    _removeAtmosphere();
+
+    const forplanet = planet;
+    if (opts.tileEngineURL || opts.dayMode === 'daynight' || planet.star)
+      await _showSurface();
+    if (_cloudsshown && planet === forplanet && planet.cloudsURL)
+      await _createClouds();
+    await _showRings();
+    await _showAtmosphere();
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // GLOBE READY OVERRIDE
+  ///////////////////////////////////////////////////////////////////////////
+  let _globeready = false;
+
+  // The ready handler's build while it's under way, and whether the planet
+  // or day mode was switched meanwhile, so it must build them again
+  let _readying = null;
+  let _rebuildPlanet = false;
+
+  g.onGlobeReady(async () =>
+  {
+    // Auto-rotate the globe if requested
+    g.spinGlobe(opts.autoRotateSpeed);
+
+    // Pick up where a shared link left off, before building the surface, or
+    // else go to the initial view
+    const restored = await _restoreHashState();
+    if (_destroyed)
+      return;
+    if (!restored)
+      _goToInitialView();
+
+    _readying = _buildReadyGlobe();
+    await _readying;
+    if (_destroyed)
+      return;
+
+    if (!_renderPaused)
+      _startGovernor();
+
+    _emit('globeReady');
   });
 
+  // Build the planet and tile layers for the ready handler, over again if
+  // the planet or day mode is switched meanwhile, then mark the globe ready
+  const _buildReadyGlobe = async function()
+  {
+    if (opts.showClouds)
+      _cloudsshown = true;
+
+    do
+    {
+      _rebuildPlanet = false;
+      await _buildPlanet();
+      if (_destroyed)
+        return;
+
+      if (!_tileLayersReady)
+      {
+        _tileLayersReady = true;
+        await _showTileLayers();
+        if (_destroyed)
+          return;
+      }
+    }
+    while (_rebuildPlanet);
+
+    _globeready = true;
+  };
+
   ///////////////////////////////////////////////////////////////////////////
-  // SPIN GLOBE
+  // INITIAL VIEW
   ///////////////////////////////////////////////////////////////////////////
 
-  let _spinspeed;
+  // Go to the view given by the initialView option. The strategies that
+  // take a while (geolocation, or a function returning a promise) start
+  // from the time zone's view, then fly to theirs unless the user has taken
+  // over by then.
+  const _goToInitialView = function()
+  {
+    const strategy = opts.initialView;
+    if (!strategy)
+    {
+      _homeView = g.pointOfView();
+      return;
+    }
 
-  // Spins the globe at the given speed. If speed is null/undefined, resume
-  // previous speed. Negative speed spins backward. Zero speed stops it.
-  g.spinGlobe = function(speed)
+    let pending = null;
+    if (typeof strategy === 'object')
+      _setInitialView(strategy);
+    else if (strategy === 'timezone')
+      _setInitialView(_getTimezoneView());
+    else if (strategy === 'geolocation')
+    {
+      _setInitialView(_getTimezoneView());
+      pending = _getGeolocatedView();
+    }
+    else
+    {
+      // The function's own view, unless it fails or gives nothing usable
+      const fallback = _getTimezoneView();
+      let view;
+      try
+      {
+        view = strategy(fallback);
+      }
+      catch (err)
+      {
+        _emit('error', err);
+      }
+
+      if (typeof view?.then === 'function')
+      {
+        _setInitialView(fallback);
+        pending = view;
+      }
+      else if (view != null && !_isView(view))
+      {
+        _emit('error', new Error('globepretty: initialView gave an unusable view'));
+        _setInitialView(fallback);
+      }
+      else
+        _setInitialView(view || fallback);
+    }
+
+    if (pending)
+    {
+      const interactions = _interactionCount;
+      pending.then(view =>
+      {
+        if (view != null && !_isView(view))
+          _emit('error', new Error('globepretty: initialView gave an unusable view'));
+        else if (view && !_destroyed && !_tour && _interactionCount === interactions)
+          _setInitialView(view, 1000);
+      }, err => _emit('error', err));
+    }
+  };
+
+  // Move to the given { lat, lng, altitude } (any of them), making it the
+  // view that keyboard navigation resets to
+  const _setInitialView = function(view, transitionMs)
   {
-    if (speed == null)
-      _spinspeed = _spinspeed || opts.autoRotateSpeed;
-    else if (speed)
-      _spinspeed = speed;
-    controls.autoRotate = speed === 0 ? false : true;
-    controls.autoRotateSpeed = _spinspeed;
-  }
+    const pov = {};
+    ['lat', 'lng', 'altitude'].forEach(key =>
+    {
+      if (view[key] != null)
+        pov[key] = view[key];
+    });
+
+    g.pointOfView(pov, transitionMs);
+    _homeView = { ...g.pointOfView(), ...pov };
+  };
+
+  // The coordinates of the user's time zone, from the table of IANA zones.
+  // Zones with no place (such as UTC) get the longitude of their offset.
+  const _getTimezoneView = function()
+  {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (Object.hasOwn(_timezones, zone))
+    {
+      const [lat, lng] = _timezones[zone];
+      return { lat, lng };
+    }
+    return { lat: 0, lng: new Date().getTimezoneOffset() / -60 * 15 };
+  };
+
+  // The user's location, or null if the browser can't or won't say
+  const _getGeolocatedView = function()
+  {
+    return new Promise(resolve =>
+    {
+      if (!navigator.geolocation)
+        return resolve(null);
+      navigator.geolocation.getCurrentPosition(
+        pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+        () => resolve(null),
+        { maximumAge: 60 * 60 * 1000, timeout: 10000 });
+    });
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // STATE
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Gets the view and settings that make up the globe's state:
+  //   { lat, lng, altitude, tilt, planet, dayMode, clouds, spin, time }
+  // where planet is the planet's name (or its record, if not registered),
+  // spin is the spin speed (zero if stopped), and time is the simulated
+  // time used to place the sun in 'daynight' mode (else absent).
+  g.getState = function()
+  {
+    const pov = g.pointOfView();
+    const state =
+    {
+      // The spot the camera looks toward, not where the near-surface tilt
+      // has moved it
+      lat: pov.lat - _prevLatDelta,
+      lng: pov.lng,
+      altitude: pov.altitude,
+      tilt: !!opts.tiltCameraNearSurface,
+      planet: Object.keys(_planet).find(name => _planet[name] === planet) ?? planet,
+      dayMode: opts.dayMode,
+      clouds: _cloudsshown,
+
+      // A spin only paused by an interaction still counts
+      spin: controls.autoRotate || _nonInteractionTimer ? _spinspeed : 0
+    };
+    if (opts.dayMode === 'daynight')
+      state.time = _clockNow();
+    return state;
+  };
+
+  // Sets any of the state getState() returns, moving the camera over the
+  // given milliseconds (or at once). Returns a promise that resolves once
+  // any planet or day mode switch completes.
+  g.setState = async function(state, transitionMs)
+  {
+    if (state.planet != null && _getPlanet(state.planet) !== planet)
+      await g.planet(state.planet);
+    if (state.dayMode != null)
+      await g.dayMode(state.dayMode);
+
+    // Until the globe is ready, its ready handler shows the clouds
+    if (state.clouds != null)
+    {
+      if (_globeready)
+        await g.showClouds(!!state.clouds);
+      else
+        opts.showClouds = !!state.clouds;
+    }
+
+    if (state.time != null)
+      g.time(state.time);
+    if (state.spin != null)
+      g.spinGlobe(+state.spin);
+    if (state.tilt != null)
+      _setCameraTilt(!!state.tilt);
+
+    // The camera's lat is offset by any near-surface tilt
+    const pov = {};
+    ['lat', 'lng', 'altitude'].forEach(key => state[key] != null && (pov[key] = +state[key]));
+    if (pov.lat != null)
+      pov.lat += _prevLatDelta;
+    if (Object.keys(pov).length)
+      g.pointOfView(pov, transitionMs);
+
+    _scheduleHashUpdate();
+    return g;
+  };
+
+  // Turn the near-surface camera tilt on or off, straightening the camera
+  // if it's tilted now
+  const _setCameraTilt = function(tilt)
+  {
+    opts.tiltCameraNearSurface = tilt;
+    if (tilt)
+      _changeCameraAngle(g.pointOfView());
+    else if (_prevLatDelta)
+    {
+      g.pointOfView({ lat: g.pointOfView().lat - _prevLatDelta });
+      _prevLatDelta = 0;
+      controls.facing?.set(0, 0, 0);
+    }
+  };
+
+  // The state's keys in location.hash, each with how to parse it, giving
+  // undefined for a value that can't be used
+  const _hashNumber = v => Number.isFinite(+v) ? +v : undefined;
+  const _hashKeys =
+  {
+    lat: _hashNumber, lng: _hashNumber, altitude: _hashNumber, spin: _hashNumber,
+    tilt: v => v === '1', clouds: v => v === '1',
+    planet: v => Object.hasOwn(_planet, v) ? v : undefined,
+    dayMode: v => _dayModes.includes(v) ? v : undefined,
+    time: v => isNaN(new Date(v)) ? undefined : new Date(v)
+  };
+
+  // Read the state from location.hash, leaving out unusable values, or null
+  // if it has none
+  const _getHashState = function()
+  {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const state = {};
+    Object.entries(_hashKeys).forEach(([key, parse]) =>
+    {
+      const value = params.get(key);
+      const parsed = value != null && value !== '' ? parse(value) : undefined;
+      if (parsed !== undefined)
+        state[key] = parsed;
+    });
+    return Object.keys(state).length ? state : null;
+  };
+
+  // When keeping the state in the hash, apply the hash's state, if any.
+  // Resolves to whether there was one.
+  const _restoreHashState = async function()
+  {
+    if (!opts.syncHash)
+      return false;
+    window.addEventListener('hashchange', _onHashChange);
+
+    const state = _getHashState();
+    if (!state)
+      return false;
+
+    try
+    {
+      await g.setState(state);
+    }
+    catch (err)
+    {
+      _emit('error', err);
+      return false;
+    }
+    _homeView = { ...g.pointOfView() };
+    return true;
+  };
+
+  // Follow the hash when it's edited or the user goes back or forward
+  const _onHashChange = function()
+  {
+    const state = _getHashState();
+    if (state)
+      g.setState(state, 1000).catch(err => _emit('error', err));
+  };
+
+  // Update the hash once things settle down. Replacing the history entry,
+  // rather than adding one, keeps the back button useful.
+  let _hashTimer;
+  const _scheduleHashUpdate = function()
+  {
+    if (!opts.syncHash || !_globeready || _destroyed)
+      return;
+
+    clearTimeout(_hashTimer);
+    _hashTimer = setTimeout(() =>
+    {
+      const state = g.getState();
+      const params = new URLSearchParams();
+      params.set('lat', state.lat.toFixed(6));
+      params.set('lng', state.lng.toFixed(6));
+      params.set('altitude', +state.altitude.toPrecision(4));
+      params.set('tilt', state.tilt ? 1 : 0);
+      if (typeof state.planet === 'string')
+        params.set('planet', state.planet);
+      params.set('dayMode', state.dayMode);
+      params.set('clouds', state.clouds ? 1 : 0);
+      params.set('spin', state.spin ?? 0);
+      if (state.time && !isNaN(state.time))
+        params.set('time', state.time.toISOString());
+
+      history.replaceState(history.state, '', '#' + params);
+    }, 500);
+  };
+
+  g.onGlobeReady = function(cbfn)
+  {
+    _setSlotListener('globeReady', cbfn);
+    return g;
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // INTERACTIONS
+  ///////////////////////////////////////////////////////////////////////////
+
+  let _nonInteractionTimer;
+
+  // How many interactions there have been, so slow work can tell whether
+  // the user has done something meanwhile
+  let _interactionCount = 0;
+
+  // Whether the camera controls are in the middle of a move
+  let _controlsMoving = false;
+
+  let _onInteraction = function()
+  {
+    // Do nothing if globe isn't ready yet, or while capturing frames
+    if (!_globeready || _capture)
+      return;
+    _interactionCount++;
+    _emit('interaction');
+
+    // Leave the spin alone while a tour drives the camera (the tour restarts
+    // the spin when it ends)
+    if (_tour)
+      return;
+
+    // Wait to start the globe spinning if so instructed
+    if (opts.autoSpinAfterIdleMs > 0)
+    {
+      g.spinGlobe(0);
+      if (_nonInteractionTimer)
+        clearTimeout(_nonInteractionTimer);
+      _nonInteractionTimer = setTimeout(() =>
+      {
+        _nonInteractionTimer = null;
+
+        // The end of a move in progress starts the wait over
+        if (_controlsMoving)
+          return;
+
+        // If we are too zoomed in, don't spin
+        const latlngalt = g.pointOfView();
+        if (latlngalt.altitude > opts.onlySpinAboveAltitude)
+          g.spinGlobe();
+      }, opts.autoSpinAfterIdleMs);
+    }
+  }
+
+  // Override zoom so we catch interactions that stop the globe spin and so
+  // we can change the surface opacity if applicable
+  let _prevLatLngAlt;
+  const minAlt = .0000382;
+  g.onZoom(latLngAlt =>
+  {
+    // We only count altitude changes as an interaction
+    if (_prevLatLngAlt?.altitude != null &&
+        Math.abs(_prevLatLngAlt.altitude - latLngAlt.altitude) > opts.interactionSpinThreshold)  
+      _onInteraction();
+
+    // If there was a noticeable altitude change
+    if (Math.abs(_prevLatLngAlt?.altitude - latLngAlt.altitude) > .00001)
+    {
+      // Handle surface opacity
+      _changeSurfaceOpacity(latLngAlt.altitude);
+    }
+
+    // Keep the tile overlays' tiles in step with the camera
+    _updateTileLayers(latLngAlt.altitude);
+
+    // If there was a noticeable altitude change
+    if (opts.tiltCameraNearSurface && 
+        (_prevLatLngAlt?.altitude > minAlt || latLngAlt.altitude > minAlt))
+    {
+      // Handle camera tilt as we near the surface
+      _changeCameraAngle(latLngAlt);
+    }
+
+    _prevLatLngAlt = latLngAlt;
+
+    _onKeyboardZoom();
+    _scheduleHashUpdate();
+
+    _emit('zoom', latLngAlt);
+  });
+  g.onZoom = function(cbfn)
+  {
+    _setSlotListener('zoom', cbfn);
+    return g;
+  };
+
+  // Override clicks so we catch interactions that stop the globe spin
+  _clickLayers.forEach(el =>
+  {
+    const event = el[0].toLowerCase() + el.slice(1) + 'Click';
+    g['on' + el + 'Click']((...args) =>
+    {
+      _onInteraction();
+      _emit(event, ...args);
+    });
+    g['on' + el + 'Click'] = function(cbfn)
+    {
+      _setSlotListener(event, cbfn);
+      return g;
+    };
+  });
+
+  // Override hovers too, counting hovering over an object (but not moving
+  // off it) as an interaction
+  _hoverLayers.forEach(el =>
+  {
+    const event = el[0].toLowerCase() + el.slice(1) + 'Hover';
+    g['on' + el + 'Hover']((obj, ...args) =>
+    {
+      if (obj && _inputs.hover)
+        _onInteraction();
+      _emit(event, obj, ...args);
+    });
+    g['on' + el + 'Hover'] = function(cbfn)
+    {
+      _setSlotListener(event, cbfn);
+      return g;
+    };
+  });
+
+  // The DOM events on the container that count as each kind of input
+  const _inputEvents =
+  {
+    pointer: ['pointerdown', 'pointermove'],
+    touch: ['touchstart', 'touchmove'],
+    wheel: ['wheel'],
+    keyboard: ['keydown']
+  };
+
+  // Moves come many times a second, so only every so often counts
+  let _lastInputMove = 0;
+  const _onInputEvent = function(e)
+  {
+    // The spin key toggles the spin itself
+    if (e.type === 'keydown' && _keyAction(e) === 'spin')
+      return;
+
+    if (e.type === 'pointermove' || e.type === 'touchmove')
+    {
+      // Only drags count, not the mouse passing over
+      if (e.type === 'pointermove' && !e.buttons)
+        return;
+      if (e.timeStamp - _lastInputMove < 100)
+        return;
+      _lastInputMove = e.timeStamp;
+    }
+    _onInteraction();
+  };
+
+  const _listenForInputs = function(listen)
+  {
+    Object.entries(_inputEvents).forEach(([kind, types]) =>
+    {
+      if (_inputs[kind])
+        types.forEach(type => listen ? container.addEventListener(type, _onInputEvent, { passive: true })
+                                     : container.removeEventListener(type, _onInputEvent));
+    });
+  };
+  _listenForInputs(true);
+
+  // Camera controls moves stop the spin until they end
+  const _onControlsStart = function()
+  {
+    _controlsMoving = true;
+    _onInteraction();
+  };
+  const _onControlsEnd = function()
+  {
+    _controlsMoving = false;
+    _onInteraction();
+  };
+  if (_inputs.controls)
+  {
+    controls.addEventListener('start', _onControlsStart);
+    controls.addEventListener('end', _onControlsEnd);
+  }
+
+  ///////////////////////////////////////////////////////////////////////////
+  // SPIN GLOBE
+  ///////////////////////////////////////////////////////////////////////////
+
+  let _spinspeed;
+
+  // Spins the globe at the given speed. If speed is null/undefined, resume
+  // previous speed. Negative speed spins backward. Zero speed stops it.
+  g.spinGlobe = function(speed)
+  {
+    if (speed == null)
+      _spinspeed = _spinspeed || opts.autoRotateSpeed;
+    else if (speed)
+      _spinspeed = speed;
+
+    const wasSpinning = controls.autoRotate;
+    controls.autoRotate = speed === 0 ? false : true;
+    controls.autoRotateSpeed = _spinspeed;
+
+    if (controls.autoRotate && !wasSpinning)
+      _emit('spinStart', _spinspeed);
+    else if (!controls.autoRotate && wasSpinning)
+      _emit('spinStop');
+  }
+
+  ///////////////////////////////////////////////////////////////////////////
+  // KEYBOARD
+  ///////////////////////////////////////////////////////////////////////////
+
+  // What each key does when keyboard navigation is on
+  const _keyActions =
+  {
+    ArrowUp: 'north', ArrowDown: 'south', ArrowLeft: 'west', ArrowRight: 'east',
+    '+': 'zoomIn', '=': 'zoomIn', '-': 'zoomOut', '_': 'zoomOut',
+    ' ': 'spin', s: 'spin', S: 'spin',
+    Home: 'reset', r: 'reset', R: 'reset'
+  };
+
+  // The view to go back to on reset, set by the initial view
+  let _homeView;
+
+  let _liveRegion;
+  let _announceTimer;
+  let _announcePending = false;
+  let _keyboardAttrs = [];
+
+  // The keyboard action for the given key event, if any
+  const _keyAction = function(e)
+  {
+    if (!opts.keyboardNavigation || e.ctrlKey || e.metaKey || e.altKey)
+      return null;
+    return Object.hasOwn(_keyActions, e.key) ? _keyActions[e.key] : null;
+  };
+
+  const _onKeyDown = function(e)
+  {
+    const action = _keyAction(e);
+    if (!action || !_globeready)
+      return;
+
+    // Keep the arrows and space from scrolling the page
+    e.preventDefault();
+
+    const pov = g.pointOfView();
+    const R = g.getGlobeRadius();
+
+    // Pan further when further out, so each press moves the view about the
+    // same amount on screen
+    const step = Math.min(15, 5 * pov.altitude);
+
+    if (action === 'north' || action === 'south')
+    {
+      const lat = pov.lat + (action === 'north' ? step : -step);
+      g.pointOfView({ lat: Math.max(-89, Math.min(89, lat)) }, 300);
+    }
+    else if (action === 'west' || action === 'east')
+    {
+      const lng = pov.lng + (action === 'east' ? step : -step);
+      g.pointOfView({ lng: (lng + 540) % 360 - 180 }, 300);
+    }
+    else if (action === 'zoomIn' || action === 'zoomOut')
+    {
+      // Within the controls' limits
+      const altitude = pov.altitude * (action === 'zoomIn' ? 1 / 1.5 : 1.5);
+      const minAltitude = controls.minDistance / R - 1 || 0;
+      const maxAltitude = controls.maxDistance / R - 1 || Infinity;
+      g.pointOfView({ altitude: Math.max(minAltitude, Math.min(maxAltitude, altitude)) }, 300);
+    }
+    else if (action === 'spin')
+    {
+      // Toggling it on spins now, rather than after the idle time
+      clearTimeout(_nonInteractionTimer);
+      _nonInteractionTimer = null;
+      const spin = !controls.autoRotate;
+      g.spinGlobe(spin ? null : 0);
+      _announce(spin ? 'Spinning' : 'Stopped spinning');
+      return;
+    }
+    else if (action === 'reset' && _homeView)
+      g.pointOfView(_homeView, 1000);
+
+    // Say where we end up once the camera settles
+    _announcePending = true;
+  };
+
+  // Turn keyboard navigation on for the container, letting it take focus
+  // and giving it a live region to announce the view in
+  const _startKeyboard = function()
+  {
+    if (!opts.keyboardNavigation)
+      return;
+
+    // Set our attributes, leaving any the page set alone
+    const attrs =
+    {
+      tabindex: '0',
+      role: 'application',
+      'aria-roledescription': 'globe',
+      'aria-label': 'Globe. Arrow keys pan, plus and minus zoom, space toggles spinning, ' +
+                    'and Home resets the view.',
+      'aria-keyshortcuts': 'ArrowUp ArrowDown ArrowLeft ArrowRight + - Space Home'
+    };
+    _keyboardAttrs = Object.keys(attrs).filter(name => container.getAttribute(name) == null);
+    _keyboardAttrs.forEach(name => container.setAttribute(name, attrs[name]));
+
+    _liveRegion = document.createElement('div');
+    _liveRegion.setAttribute('role', 'status');
+    _liveRegion.setAttribute('aria-live', 'polite');
+    Object.assign(_liveRegion.style, { position: 'absolute', width: '1px', height: '1px',
+                                       overflow: 'hidden', clip: 'rect(0 0 0 0)',
+                                       whiteSpace: 'nowrap' });
+    container.appendChild(_liveRegion);
+
+    container.addEventListener('keydown', _onKeyDown);
+    container.addEventListener('pointerdown', _onKeyboardPointerDown);
+  };
+
+  // Clicking the globe gives it focus, so the keys work right after
+  const _onKeyboardPointerDown = function()
+  {
+    if (document.activeElement !== container)
+      container.focus({ preventScroll: true });
+  };
+
+  const _stopKeyboard = function()
+  {
+    container.removeEventListener('keydown', _onKeyDown);
+    container.removeEventListener('pointerdown', _onKeyboardPointerDown);
+    clearTimeout(_announceTimer);
+    _keyboardAttrs.forEach(name => container.removeAttribute(name));
+    _keyboardAttrs = [];
+    _liveRegion?.remove();
+    _liveRegion = null;
+  };
+
+  // Called as the camera moves, to announce the view once a keyboard move
+  // settles
+  const _onKeyboardZoom = function()
+  {
+    if (!_announcePending)
+      return;
+    clearTimeout(_announceTimer);
+    _announceTimer = setTimeout(() =>
+    {
+      _announcePending = false;
+      _announce(_describeView(g.pointOfView()));
+    }, 400);
+  };
+
+  const _announce = function(text)
+  {
+    if (_liveRegion)
+      _liveRegion.textContent = text;
+  };
+
+  // Describe the given view: where it is, and what's under it
+  const _describeView = function(pov)
+  {
+    const lat = Math.abs(pov.lat).toFixed(1) + (pov.lat < 0 ? ' south' : ' north');
+    const lng = Math.abs(pov.lng).toFixed(1) + (pov.lng < 0 ? ' west' : ' east');
+    let text = `Latitude ${lat}, longitude ${lng}, altitude ${pov.altitude.toFixed(2)}.`;
+
+    const under = opts.describeLocation ? opts.describeLocation(pov) : _describeUnder(pov);
+    if (under)
+      text += ' ' + under;
+    return text;
+  };
+
+  // Name the polygon under the given view and the point nearest it, if they
+  // have labels
+  const _describeUnder = function(pov)
+  {
+    const parts = [];
+
+    const geometry = g.polygonGeoJsonGeometry() ?? 'geometry';
+    const polygon = (g.polygonsData() || []).find(d =>
+      _geometryContains(_accessorValue(geometry, d), pov.lng, pov.lat));
+    const polygonName = polygon && (_accessorText(g.polygonLabel() ?? 'name', polygon) ||
+                                    _accessorText('name', polygon.properties));
+    if (polygonName)
+      parts.push('Over ' + polygonName);
+
+    // Only points within a few degrees, fewer the closer in we are
+    const lat = g.pointLat() ?? 'lat', lng = g.pointLng() ?? 'lng';
+    let nearest, nearestDist = Math.max(.05, 5 * pov.altitude);
+    (g.pointsData() || []).forEach(d =>
+    {
+      const dist = _degreesBetween(pov, { lat: _accessorValue(lat, d), lng: _accessorValue(lng, d) });
+      if (dist < nearestDist)
+      {
+        nearest = d;
+        nearestDist = dist;
+      }
+    });
+    const pointName = nearest && _accessorText(g.pointLabel() ?? 'name', nearest);
+    if (pointName)
+      parts.push('near ' + pointName);
+
+    return parts.length ? parts.join(', ') + '.' : '';
+  };
+
+  // globe.gl accessors are either property names or functions
+  const _accessorValue = function(accessor, d)
+  {
+    return typeof accessor === 'function' ? accessor(d) : d?.[accessor];
+  };
+
+  // An accessor's value as plain text, since labels are often HTML
+  const _accessorText = function(accessor, d)
+  {
+    const value = _accessorValue(accessor, d);
+    if (value == null || typeof value === 'object')
+      return '';
+    return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  };
+
+  // Whether the given GeoJSON polygon or multipolygon contains the lng/lat
+  const _geometryContains = function(geometry, lng, lat)
+  {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates] :
+                     geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+    // Inside the outer ring and outside any holes
+    return polygons.some(rings =>
+      rings.filter(ring => _ringContains(ring, lng, lat)).length % 2 === 1);
+  };
+
+  const _ringContains = function(ring, lng, lat)
+  {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++)
+    {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)
+        inside = !inside;
+    }
+    return inside;
+  };
+
+  // The angle in degrees between two lat/lngs
+  const _degreesBetween = function(a, b)
+  {
+    const rad = Math.PI / 180;
+    const cos = Math.sin(a.lat * rad) * Math.sin(b.lat * rad) +
+                Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.cos((a.lng - b.lng) * rad);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) / rad;
+  };
+
+  _startKeyboard();
+
+  ///////////////////////////////////////////////////////////////////////////
+  // CLOCK
+  ///////////////////////////////////////////////////////////////////////////
+
+  // The simulated clock that places the sun in 'daynight' mode. It reads
+  // _clockTime at real time _clockRealTime and, while playing, advances at
+  // _timeScale times real time from there.
+  let _clockTime = opts.time != null ? +new Date(opts.time) : Date.now();
+  let _clockRealTime = Date.now();
+  let _timeScale = opts.timeScale;
+  let _clockPlaying = true;
+
+  // While capturing frames, time stands still between frames and moves only
+  // as each frame is stepped, so the captured animations come out the same
+  // every time (see capture()). Otherwise these are the real time and the
+  // time the animations run on, in milliseconds.
+  let _capture = null;
+  let _animationOffset = 0;
+  const _wallNow = () => _capture ? _capture.wallTime : Date.now();
+  const _animationNow = () => _capture ? _capture.animationTime : performance.now() + _animationOffset;
+
+  // Get the current simulated time
+  const _clockNow = function()
+  {
+    const elapsed = _clockPlaying ? _wallNow() - _clockRealTime : 0;
+    return new Date(_clockTime + elapsed * _timeScale);
+  };
+
+  // Restart the clock's reckoning from the given simulated time
+  const _rebaseClock = function(dt = _clockNow())
+  {
+    _clockTime = +dt;
+    _clockRealTime = _wallNow();
+  };
+
+  // Let the sun and any listener know the clock was changed
+  const _onClockChange = function()
+  {
+    if (_solar)
+      _startSunLifeLoop();
+    else
+      _emit('timeChange', _clockNow());
+  };
+
+  // Gets the simulated time, or sets it to the given Date (or anything the
+  // Date constructor accepts)
+  g.time = function(date)
+  {
+    if (date === undefined)
+      return _clockNow();
+
+    _checkClockOption('time', date);
+    _rebaseClock(new Date(date));
+    _onClockChange();
+    _scheduleHashUpdate();
+    return g;
+  };
+
+  // Gets or sets how many times faster than real time the clock runs.
+  // Negative runs the clock backward.
+  g.timeScale = function(multiplier)
+  {
+    if (multiplier === undefined)
+      return _timeScale;
+
+    _checkClockOption('timeScale', multiplier);
+    _rebaseClock();
+    _timeScale = multiplier;
+    _onClockChange();
+    return g;
+  };
+
+  // Start the clock running
+  g.play = function()
+  {
+    _rebaseClock();
+    _clockPlaying = true;
+    _onClockChange();
+    return g;
+  };
+
+  // Stop the clock at the current simulated time
+  g.pause = function()
+  {
+    _rebaseClock();
+    _clockPlaying = false;
+    _onClockChange();
+    return g;
+  };
+
+  // Called with the simulated time whenever the sun is moved or the clock
+  // is changed
+  g.onTimeChange = function(cbfn)
+  {
+    _setSlotListener('timeChange', cbfn);
+    return g;
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // TOURS
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Get the easing function for the given name or function
+  const _getEasing = function(easing, dflt = 'easeInOut')
+  {
+    return typeof easing === 'function' ? easing : _easings[easing] ?? _easings[dflt];
+  };
+
+  let _tour;
+
+  // Flies the camera through the given waypoints in turn, each of the form:
+  //   {
+  //     lat, lng, altitude,      // Where to fly to. Omitted ones stay as is.
+  //     duration: 3000,          // How long to fly there in ms
+  //     easing: 'easeInOut',     // 'linear', 'easeIn', 'easeOut',
+  //                              // 'easeInOut', or a function of 0..1
+  //     dwell: 2000,             // How long to stay there in ms
+  //     date: null               // The simulated time to arrive at, moving
+  //                              // the sun along the way in 'daynight' mode
+  //   }
+  // Auto-spin pauses for the tour. Starting a tour cancels any current one.
+  // Returns a promise that resolves to true when the tour completes (at
+  // once for no waypoints) or false if it's cancelled. Throws an error
+  // saying what's wrong with any unusable waypoint.
+  g.tour = function(waypoints)
+  {
+    _validateWaypoints(waypoints);
+    g.cancelTour();
+
+    if (!waypoints.length)
+      return Promise.resolve(true);
+
+    return new Promise(resolve =>
+    {
+      // A globe about to spin again after being idle counts as spinning
+      _tour = { waypoints, index: -1, resolve,
+                wasSpinning: controls.autoRotate || _nonInteractionTimer != null };
+
+      clearTimeout(_nonInteractionTimer);
+      _nonInteractionTimer = null;
+      g.spinGlobe(0);
+
+      _nextTourWaypoint();
+      _tour.lastTick = _animationNow();
+      _tour.frame = requestAnimationFrame(_stepTour);
+    });
+  };
+
+  const _validateWaypoints = function(waypoints)
+  {
+    if (!Array.isArray(waypoints))
+      throw new Error(`globepretty: tour needs a list of waypoints, not ${waypoints}`);
+
+    for (let i = 0; i < waypoints.length; i++)
+    {
+      const waypoint = waypoints[i];
+      const fail = msg => { throw new Error(`globepretty: tour waypoint ${i} ${msg}`); };
+
+      if (!waypoint || typeof waypoint !== 'object')
+        fail(`must be a record of the form { lat, lng, altitude, ... }, not ${waypoint}`);
+      ['lat', 'lng', 'altitude'].forEach(key =>
+      {
+        if (waypoint[key] != null && !Number.isFinite(waypoint[key]))
+          fail(`${key} must be a number, not ${waypoint[key]}`);
+      });
+      ['duration', 'dwell'].forEach(key =>
+      {
+        if (waypoint[key] != null && !(waypoint[key] >= 0 && waypoint[key] < Infinity))
+          fail(`${key} must be a number of ms, not ${waypoint[key]}`);
+      });
+      if (waypoint.easing != null && typeof waypoint.easing !== 'function' &&
+          !Object.hasOwn(_easings, waypoint.easing))
+        fail(`easing '${waypoint.easing}' is unknown. Known easings are ` +
+             `${Object.keys(_easings).join(', ')}, or a function.`);
+      if (waypoint.date != null && isNaN(new Date(waypoint.date)))
+        fail(`date must be a date, not ${waypoint.date}`);
+    }
+  };
+
+  // Pauses the current tour where it is
+  g.pauseTour = function()
+  {
+    if (_tour && !_tour.paused)
+    {
+      _tour.paused = true;
+      cancelAnimationFrame(_tour.frame);
+    }
+    return g;
+  };
+
+  // Resumes the current tour from where it was paused
+  g.resumeTour = function()
+  {
+    if (_tour?.paused)
+    {
+      _tour.paused = false;
+      _tour.lastTick = _animationNow();
+      _tour.frame = requestAnimationFrame(_stepTour);
+    }
+    return g;
+  };
+
+  // Stops the current tour where it is
+  g.cancelTour = function()
+  {
+    if (_tour)
+      _endTour(false);
+    return g;
+  };
+
+  // Called with (waypoint, index) when the tour arrives at each waypoint
+  g.onTourWaypointEnter = function(cbfn)
+  {
+    _setSlotListener('tourWaypointEnter', cbfn);
+    return g;
+  };
+
+  // Called with (waypoint, index) when the tour leaves each waypoint
+  g.onTourWaypointLeave = function(cbfn)
+  {
+    _setSlotListener('tourWaypointLeave', cbfn);
+    return g;
+  };
+
+  // Get the point the camera is looking at, which near the surface is north
+  // of the camera itself (see _changeCameraAngle)
+  const _getLookAt = function()
+  {
+    const pov = g.pointOfView();
+    return { ...pov, lat: pov.lat - _prevLatDelta };
+  };
+
+  // Start flying to the next waypoint
+  const _nextTourWaypoint = function()
+  {
+    _tour.index++;
+    _tour.flying = true;
+    _tour.elapsed = 0;
+    _tour.from = _getLookAt();
+    _tour.fromTime = +g.time();
+  };
+
+  const _stepTour = function()
+  {
+    const tour = _tour;
+    cancelAnimationFrame(tour.frame);
+    const now = _animationNow();
+    tour.elapsed += now - tour.lastTick;
+    tour.lastTick = now;
+
+    const index = tour.index;
+    const waypoint = tour.waypoints[index];
+
+    if (tour.flying)
+    {
+      const duration = waypoint.duration ?? 3000;
+      const pct = duration > 0 ? Math.min(1, tour.elapsed / duration) : 1;
+      _moveTourCamera(waypoint, _getEasing(waypoint.easing)(pct));
+
+      if (pct === 1)
+      {
+        tour.flying = false;
+        tour.elapsed = 0;
+        _emit('tourWaypointEnter', waypoint, index);
+      }
+    }
+    else if (tour.elapsed >= (waypoint.dwell ?? 2000))
+    {
+      _emit('tourWaypointLeave', waypoint, index);
+
+      if (_tour === tour && index + 1 >= tour.waypoints.length)
+        return _endTour(true);
+      if (_tour === tour)
+        _nextTourWaypoint();
+    }
+
+    // Carry on unless the callbacks paused or ended the tour
+    if (_tour === tour && !tour.paused)
+      tour.frame = requestAnimationFrame(_stepTour);
+  };
+
+  // Move the camera the given eased fraction of the way to the waypoint
+  const _moveTourCamera = function(waypoint, pct)
+  {
+    const from = _tour.from;
+    const to = { ...from, ...waypoint };
+
+    // Take the short way around, and zoom at a steady rate
+    const lngDelta = ((to.lng - from.lng) % 360 + 540) % 360 - 180;
+    const altitude = from.altitude > 0 && to.altitude > 0
+                       ? from.altitude * (to.altitude / from.altitude) ** pct
+                       : from.altitude + (to.altitude - from.altitude) * pct;
+
+    // Position the camera where the near-surface tilt expects it to be
+    g.pointOfView({ lat: from.lat + (to.lat - from.lat) * pct + _prevLatDelta,
+                    lng: from.lng + lngDelta * pct,
+                    altitude });
+
+    if (waypoint.date != null)
+      g.time(new Date(_tour.fromTime + (new Date(waypoint.date) - _tour.fromTime) * pct));
+  };
+
+  const _endTour = function(completed)
+  {
+    const tour = _tour;
+    _tour = null;
+    cancelAnimationFrame(tour.frame);
+
+    // Spin again if we were before, after the usual idle time
+    if (tour.wasSpinning)
+    {
+      if (opts.autoSpinAfterIdleMs > 0)
+        _onInteraction();
+      else
+        g.spinGlobe();
+    }
+
+    tour.resolve(completed);
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // DAY MODE
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Gets the day mode, or switches the live globe to the given day mode
+  // ('day', 'night' or 'daynight'), crossfading from the old surface to the
+  // new one. When switching, returns a promise that resolves once the
+  // transition completes and any new globe image has loaded.
+  g.dayMode = function(mode)
+  {
+    if (mode === undefined)
+      return opts.dayMode;
+
+    _checkDayMode(mode);
+    _dayMode = mode;
+    const prevMode = opts.dayMode;
+    _applyDayMode();
+    _scheduleHashUpdate();
+
+    if (opts.dayMode === prevMode)
+      return Promise.resolve(g);
+
+    // Until the globe is ready, its ready handler builds the surface, over
+    // again if it's already under way
+    if (!_globeready)
+    {
+      _rebuildPlanet = !!_readying;
+      return Promise.all([_applyGlobeImages(), _readying]).then(() => g);
+    }
+
+    return _switchSurface().then(() => g);
+  };
+
+  // Build the surface for the new day mode and crossfade to it
+  let _fadeFrame, _finishFade, _stepFade;
+  const _switchSurface = async function()
+  {
+    const formode = opts.dayMode;
+    const solar = formode === 'daynight' ? await import('solar') : null;
+
+    // Leave it to a later switch, if there's been one meanwhile
+    if (opts.dayMode !== formode || _destroyed)
+      return;
+
+    const next = await _createSurface();
+    if (!next)
+      return;
+
+    // Complete any transition still in progress
+    if (_finishFade)
+      _finishFade();
+    const prev = _surface;
+
+    // Draw the new surface over the old one while it fades in
+    next.material.polygonOffset = true;
+    next.material.polygonOffsetFactor = -1;
+    next.material.polygonOffsetUnits = -4;
+    _setMaterialOpacity(next.material, 0);
+    g.scene().add(next);
+
+    return new Promise(resolve =>
+    {
+      _finishFade = () =>
+      {
+        cancelAnimationFrame(_fadeFrame);
+        _finishFade = null;
+        _stepFade = null;
+
+        if (prev)
+        {
+          g.scene().remove(prev);
+          _disposeMesh(prev);
+        }
+        next.material.polygonOffset = false;
+        _setMaterialOpacity(next.material, _prevSurfaceOpacity ?? 1);
+        _surface = next;
+
+        // Bring the sun, clouds and globe image along to the new mode
+        _solar = solar;
+        if (_solar)
+          _startSunLifeLoop();
+        else
+        {
+          _stopSunLifeLoop();
+          _resetLight();
+        }
+        if (opts.receiveShadows || _rings)
+          _setupShadows();
+        _updateCloudsMaterial();
+        _updateAtmosphereMaterial();
+        _emit('dayModeChange', formode);
+        _applyGlobeImages().then(resolve);
+      };
+
+      const start = _animationNow();
+      _stepFade = () =>
+      {
+        cancelAnimationFrame(_fadeFrame);
+        const pct = Math.min(1, (_animationNow() - start) / opts.dayModeTransitionMs);
+        if (!(pct < 1))
+          return _finishFade();
+
+        _setMaterialOpacity(next.material, pct * (_prevSurfaceOpacity ?? 1));
+        _fadeFrame = requestAnimationFrame(_stepFade);
+      };
+      _stepFade();
+    });
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // REALISTIC SURFACE OVERLAY
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Show or hide the surface overlay
+  let _surface, _solar;
+  const _showSurface = async function()
+  {
+    _solar = opts.dayMode === 'daynight' ? await import('solar') : null;
+
+    const surface = await _createSurface();
+    if (!surface)
+      return;
+    _surface = surface;
+
+    // Cast and accept shadows if we should
+    if (opts.receiveShadows || _rings)
+      _setupShadows();
+
+    // If water, change light position to see the specularMap's effect. In
+    // 'daynight' mode the sun moves it from here.
+    _resetLight();
+
+    // Set sun position
+    if (opts.dayMode === 'daynight')
+      _startSunLifeLoop();
+
+    // Churn a star's surface
+    if (planet.star)
+      _startStarLoop();
+
+    // Fade the surface for the current altitude, as it may not suit the
+    // planet it replaced
+    _changeSurfaceOpacity(g.pointOfView().altitude);
+
+    // Add the surface to the scene
+    g.scene().add(_surface);
+  }
+
+  // Create the surface overlay mesh for the current planet and day mode.
+  // Resolves to null if either was switched while we were loading.
+  const _createSurface = async function()
+  {
+    const forplanet = planet;
+    const formode = opts.dayMode;
+
+    await _loadThreeJS();
+
+    const planetimage = opts.dayMode === 'night' ? planet.nightImageURL : planet.imageURL;
+
+    // Start loading the smallest resolution of each image, reporting any
+    // that fail. A star only needs its surface.
+    const loads = [
+      _loadProgressive(planetimage),
+      _loadProgressive(planet.star ? null : planet.bumpImageURL),
+      _loadProgressive(planet.star ? null : planet.waterURL),
+      _loadProgressive(opts.dayMode === 'daynight' ? planet.nightImageURL : null)
+    ];
+    Promise.allSettled(loads).then(results =>
+      results.forEach(r => r.status === 'rejected' && _emit('error', r.reason)));
+
+    // Build the surface as soon as its own image is in, so it appears as
+    // soon as possible
+    let surface;
+    try
+    {
+      surface = await loads[0];
+    }
+    catch
+    {
+      // Reported above
+      return null;
+    }
+    const surfaceTexture = surface.texture;
+
+    // Give up if the planet or day mode was switched, or the globe was
+    // destroyed, while we were loading
+    if (planet !== forplanet || opts.dayMode !== formode || _destroyed)
+    {
+      surfaceTexture?.dispose();
+      loads.slice(1).forEach(load => load.then(image => image.texture?.dispose(), () => {}));
+      return null;
+    }
+
+    const matopts = opts.dayMode === 'night' 
+                     ? { color: 0x000000, emissive: 0xffffff, emissiveMap: surfaceTexture }
+                     : { };
+    const mat = planet.star
+                  ? _createStarMaterial(surfaceTexture)
+                  : opts.dayMode === 'daynight'
+                  ? _createDayNightMaterial(surfaceTexture, null, null, null)
+                  : planet.waterURL
+                    ? new Globe.THREE.MeshPhongMaterial({ ...matopts, map: surfaceTexture, 
+                                                          transparent: true,
+                                                          bumpScale: planet.bumpScale,
+                                                          specular: new Globe.THREE.Color('lightgrey'),
+                                                          shininess: 15
+                                                        })
+                    : new Globe.THREE.MeshLambertMaterial({ ...matopts, map: surfaceTexture, 
+                                                            transparent: true,
+                                                            bumpScale: planet.bumpScale
+                                                          });
+    const widthSegments = _sphereSegments();
+    const geo = new Globe.THREE.SphereGeometry(g.getGlobeRadius() * (1 + opts.surfaceAltitude), 
+                                               widthSegments, widthSegments/2);
+
+    // Keep the opacity of the surface being replaced, if any
+    if (_prevSurfaceOpacity != null)
+      _setMaterialOpacity(mat, _prevSurfaceOpacity);
+
+    // Then swap in the larger resolutions as they load, and each of the
+    // other images as it arrives
+    const mesh = new Globe.THREE.Mesh(geo, mat);
+    surface.upgrade(mesh);
+    ['bump', 'water', 'night'].forEach((name, i) =>
+      loads[i + 1].then(image => _addSurfaceImage(mesh, name, image), () => {}));
+    return mesh;
+  };
+
+  // Put one of the surface's other images ('bump', 'water' or 'night') into
+  // its material, then swap in its larger resolutions as they load
+  const _addSurfaceImage = function(mesh, name, image)
+  {
+    const texture = image.texture;
+    if (!texture)
+      return;
+    if (mesh.userData.disposed || _destroyed)
+    {
+      texture.dispose();
+      return;
+    }
+
+    const mat = mesh.material;
+    if (mat.isShaderMaterial)
+    {
+      mat.uniforms[`${name}Texture`].value = texture;
+      if (name !== 'night')
+        mat.defines[`USE_${name.toUpperCase()}`] = '';
+    }
+    else
+      mat[name === 'bump' ? 'bumpMap' : 'specularMap'] = texture;
+    mat.needsUpdate = true;
+
+    image.upgrade(mesh);
+  };
+
+  // Remove the surface overlay, and stop the sun that shades it
+  const _removeSurface = function()
+  {
+    if (_finishFade)
+      _finishFade();
+    _stopSunLifeLoop();
+    _stopStarLoop();
+    _solar = null;
+
+    if (_surface)
+    {
+      g.scene().remove(_surface);
+      _disposeMesh(_surface);
+      _surface = null;
+    }
+
+    // Return the light to where the sun found it
+    _resetLight();
+  };
+
+  // Return the light to its fixed position
+  const _resetLight = function()
+  {
+    const dirlight = g.lights().find(l => l.type === 'DirectionalLight');
+    dirlight && dirlight.position.set(1, 1, 1);
+  };
+
+  // Set the opacity of one of our materials, including our shaders
+  const _setMaterialOpacity = function(mat, opacity)
+  {
+    if (mat.isShaderMaterial)
+      mat.uniforms.opacity.value = opacity;
+    else
+      mat.opacity = opacity;
+  };
+
+  let _prevSurfaceOpacity;
+  const _changeSurfaceOpacity = function(altitude)
+  {
+    if (!_surface || !opts.tileEngineURL)
+      return;
+
+    const opacity1alt = opts.surfaceFadeStartAltitude;
+    const opacity0alt = opts.surfaceFadeEndAltitude;
+
+    // A star's surface never gives way to map tiles
+    const pct = Math.min(1, Math.max(0, (altitude - opacity0alt) / (opacity1alt - opacity0alt)));
+    const opacity = planet.star ? 1 : Math.min(1, Math.max(0, _getEasing(opts.surfaceFadeEasing, 'linear')(pct)));
+
+    _setMaterialOpacity(_surface.material, opacity);
+
+    // When we start, the camera is far from the planet's surface and its near value
+    // is 0.05. Anything less than that causes depth z-fighting and surface flickering.
+    // But we need it to be less than this if we want to be able to zoom beyond slippy
+    // map zoom level 14. So we cheat and only change the camera near value to the
+    // smaller value when we are fully zoomed beyond the surface layer.
+    if (_prevSurfaceOpacity > 0 && opacity === 0)
+      _changeCameraNear(1e-5);
+    else if (_prevSurfaceOpacity === 0 && opacity > 0)
+      _changeCameraNear(0.05);
+
+    if (opacity !== _prevSurfaceOpacity)
+    {
+      _emit('surfaceOpacity', opacity);
+
+      // Fully faded out to the tiles, or back in
+      if (_prevSurfaceOpacity != null && (opacity === 0 || opacity === 1))
+        _emit('surfaceFadeComplete', opacity);
+    }
+    _prevSurfaceOpacity = opacity;
+  };
+  
+  const _changeCameraNear = function(near)
+  {
+    // Allow us to zoom in beyond zoom 14
+    camera.near = near;
+    camera.far = g.getGlobeRadius() * 100;
+    controls.minDistance = g.getGlobeRadius() * (1 + 5 / 2**g.globeTileEngineMaxLevel());
+    controls.maxDistance = camera.far - g.getGlobeRadius();
+    camera.updateProjectionMatrix();
+  };
+
+  let _prevLatDelta = 0;
+  const _changeCameraAngle = function(latLngAlt)
+  {
+    // Below a given altitude we both tilt the camera (to look toward the
+    // northern horizon) and move the camera slightly south (to maintain
+    // looking at the same surface point we were dollying toward).
+    const startTiltAlt = .003;
+    const maxLatDelta = -.015;
+
+    if (!Globe.THREE || !controls.facing || latLngAlt.lat < -90 - maxLatDelta)
+      return;
+
+    const pctTilt = Math.max(0, Math.min(1, (startTiltAlt - latLngAlt.altitude) / startTiltAlt));
+    const latDeltaAtAlt = maxLatDelta * pctTilt;
+    const newLatDelta = latDeltaAtAlt - _prevLatDelta;
+
+    // Position camera
+    const newLat = latLngAlt.lat + newLatDelta;
+    g.pointOfView({ lat: newLat });
+
+    // Tilt camera to lookAt the point directly below the camera if it weren't
+    // repositioned above
+    if (latLngAlt.altitude > startTiltAlt)
+      controls.facing.set(0, 0, 0);
+    else
+    {
+      const currPos = camera.position;
+      const midLat = newLat - latDeltaAtAlt / 5;
+      const lookAtPos = g.getCoords(midLat, latLngAlt.lng, 0);
+
+      // How far is the camera from the origin
+      const distToOrigin = latLngAlt.altitude * 100 + 100;
+
+      // Find point that is same distance from camera but on line from currPos thru lookAtPos
+      controls.facing.set(lookAtPos.x, lookAtPos.y, lookAtPos.z);
+      controls.facing.subVectors(controls.facing, currPos) // Line from currPos thru lookAtPos
+                     .normalize()                          // normalized to unit vector
+                     .multiplyScalar(distToOrigin)         // scaled to same distance as to origin
+                     .add(currPos);                        // added to camera position
+    }
+
+    _prevLatDelta = latDeltaAtAlt;
+  };
+
+  // Get position of sun at given dt
+  const _sunPosAt = function(_solar, dt)
+  {
+    const day = new Date(+dt).setUTCHours(0, 0, 0, 0);
+    const t = _solar.century(dt);
+    const lng = (day - dt) / 864e5 * 360 - 180;
+    return [lng - _solar.equationOfTime(t) / 4, _solar.declination(t)];
+  };
+
+  // The direction of the sun from the planet's center in world coordinates.
+  // Shared as a uniform by every material shaded by the sun.
+  const _sunDirection = { value: null };
+
+  const _moveSunToPositionAtDate = function(dt = _clockNow())
+  {
+    if (!_solar || !_sunDirection.value)
+      return;
+
+    const [lng, lat] = _sunPosAt(_solar, dt);
+    const sunpos = g.getCoords(lat, lng, 0);
+    _sunDirection.value.set(sunpos.x, sunpos.y, sunpos.z).normalize();
+
+    // Light the rest of the scene (bump shading, shadows, models) from the
+    // sun too
+    const dirlight = g.lights().find(l => l.type === 'DirectionalLight');
+    dirlight && dirlight.position.copy(_sunDirection.value);
+
+    _emit('sunPosition', { lat, lng, date: new Date(dt) });
+  };
+
+  let _sunTimer, _sunFrame;
+  const _startSunLifeLoop = function()
+  {
+    _stopSunLifeLoop();
+
+    const dt = _clockNow();
+    _moveSunToPositionAtDate(dt);
+    _emit('timeChange', dt);
+
+    if (!_clockPlaying || !_timeScale)
+      return;
+
+    // Faster than real time the terminator visibly moves, so update it every
+    // frame. Otherwise once per minute is plenty.
+    if (Math.abs(_timeScale) > 1)
+      _sunFrame = requestAnimationFrame(_startSunLifeLoop);
+    else
+      _sunTimer = setTimeout(_startSunLifeLoop, 60 * 1000);
+  };
+
+  const _stopSunLifeLoop = function()
+  {
+    clearTimeout(_sunTimer);
+    cancelAnimationFrame(_sunFrame);
+  };
+
+  // Vertex shader for the sun-shaded materials. The normal and position are
+  // passed in world coordinates to compare against the sun direction.
+  const _dayNightVertexShader = `
+      #ifdef RECEIVE_SHADOWS
+        #include <common>
+        #include <shadowmap_pars_vertex>
+      #endif
+      varying vec3 vWorldNormal;
+      varying vec3 vWorldPosition;
+      varying vec2 vUv;
+      void main() {
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+
+        #ifdef RECEIVE_SHADOWS
+          // What three.js's shadowmap_vertex expects
+          vec3 transformedNormal = normalMatrix * normal;
+          vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+          #include <shadowmap_vertex>
+        #endif
+      }
+  `;
+
+  // The twilight bands, from the terminator outward, each as wide as the
+  // given degrees of the sun below the horizon
+  const _twilightBands =
+  {
+    civil:        { width: 6, tint: '#ff9a5a', opacity: .25 },
+    nautical:     { width: 6, tint: '#5a6cc0', opacity: .2 },
+    astronomical: { width: 6, tint: '#1c2460', opacity: .15 }
+  };
+
+  // The outline of the terminator and twilight bands, with width in pixels
+  const _twilightOutline = { color: 'white', width: 1, opacity: .6 };
+
+  // Get the given color as used by our shaders, which work in the textures'
+  // sRGB values rather than three.js's linear working color space
+  const _shaderColor = function(color)
+  {
+    return new Globe.THREE.Color(color).convertLinearToSRGB();
+  };
+
+  // Create day/night shader. The bump and water textures are optional, and
+  // shade the same way as the 'day' mode's Phong material.
+  const _createDayNightMaterial = function(daytexture, nighttexture, bumptexture, watertexture)
+  {
+    _sunDirection.value ??= new Globe.THREE.Vector3(1, 1, 1).normalize();
+
+    const fragmentShader = `
+        uniform sampler2D dayTexture;
+        uniform sampler2D nightTexture;
+        uniform sampler2D bumpTexture;
+        uniform sampler2D waterTexture;
+        uniform float bumpScale;
+        uniform vec3 specular;
+        uniform float shininess;
+        uniform vec3 sunDirection;
+        uniform float opacity;
+        uniform vec3 twilightWidths;
+        uniform vec3 twilightTints[3];
+        uniform vec3 twilightOpacities;
+        uniform vec4 twilightOutline;
+        uniform float twilightOutlineWidth;
+        varying vec3 vWorldNormal;
+        varying vec3 vWorldPosition;
+        varying vec2 vUv;
+
+        #ifdef RECEIVE_SHADOWS
+          #include <common>
+          #include <packing>
+          #include <lights_pars_begin>
+          #include <shadowmap_pars_fragment>
+        #endif
+
+        #ifdef USE_BUMP
+          // Bump mapping as done by three.js's bumpmap_pars_fragment
+          vec2 dHdxy_fwd() {
+            vec2 dSTdx = dFdx(vUv);
+            vec2 dSTdy = dFdy(vUv);
+            float Hll = bumpScale * texture2D(bumpTexture, vUv).x;
+            float dBx = bumpScale * texture2D(bumpTexture, vUv + dSTdx).x - Hll;
+            float dBy = bumpScale * texture2D(bumpTexture, vUv + dSTdy).x - Hll;
+            return vec2(dBx, dBy);
+          }
+
+          vec3 perturbNormalArb(vec3 surf_pos, vec3 surf_norm, vec2 dHdxy) {
+            vec3 vSigmaX = normalize(dFdx(surf_pos));
+            vec3 vSigmaY = normalize(dFdy(surf_pos));
+            vec3 R1 = cross(vSigmaY, surf_norm);
+            vec3 R2 = cross(surf_norm, vSigmaX);
+            float fDet = dot(vSigmaX, R1);
+            vec3 vGrad = sign(fDet) * (dHdxy.x * R1 + dHdxy.y * R2);
+            return normalize(abs(fDet) * surf_norm - vGrad);
+          }
+        #endif
+
+        void main() {
+          vec3 normal = normalize(vWorldNormal);
+          float intensity = dot(normal, sunDirection);
+          vec4 dayColor = texture2D(dayTexture, vUv);
+          vec4 nightColor = texture2D(nightTexture, vUv);
+          float blendFactor = smoothstep(-0.1, 0.1, intensity);
+
+          #if defined(RECEIVE_SHADOWS) && defined(USE_SHADOWMAP) && NUM_DIR_LIGHT_SHADOWS > 0
+            // Darken whatever blocks the sun (the light that follows it) as
+            // though it were night there
+            if (receiveShadow) {
+              DirectionalLightShadow sunShadow = directionalLightShadows[0];
+              blendFactor *= getShadow(directionalShadowMap[0], sunShadow.shadowMapSize,
+                                       sunShadow.shadowIntensity, sunShadow.shadowBias,
+                                       sunShadow.shadowRadius, vDirectionalShadowCoord[0]);
+            }
+          #endif
+
+          #ifdef USE_BUMP
+            // Shade the relief relative to the smooth sphere, so the day side
+            // keeps its brightness
+            normal = perturbNormalArb(vWorldPosition, normal, dHdxy_fwd());
+            dayColor.rgb *= clamp(1.0 + dot(normal, sunDirection) - intensity, 0.0, 2.0);
+          #endif
+
+          #ifdef USE_WATER
+            float water = texture2D(waterTexture, vUv).r;
+
+            // Sun glint off the oceans
+            vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+            vec3 halfDirection = normalize(sunDirection + viewDirection);
+            float glint = pow(max(dot(normal, halfDirection), 0.0), shininess);
+            dayColor.rgb += specular * glint * water * max(intensity, 0.0);
+
+            // City lights only shine on land
+            nightColor.rgb *= 1.0 - water;
+          #endif
+
+          gl_FragColor = mix(nightColor, dayColor, blendFactor);
+
+          // How far the sun is below the horizon in degrees
+          float depression = -degrees(asin(clamp(intensity, -1.0, 1.0)));
+
+          #ifdef USE_TWILIGHT_BANDS
+            // Tint the civil, nautical and astronomical twilight bands
+            float aa = fwidth(depression) * 0.5;
+            float bandStart = 0.0;
+            for (int i = 0; i < 3; i++) {
+              float bandEnd = bandStart + twilightWidths[i];
+              float inBand = smoothstep(bandStart - aa, bandStart + aa, depression) *
+                             (1.0 - smoothstep(bandEnd - aa, bandEnd + aa, depression));
+              gl_FragColor.rgb = mix(gl_FragColor.rgb, twilightTints[i],
+                                     inBand * twilightOpacities[i]);
+              bandStart = bandEnd;
+            }
+          #endif
+
+          #ifdef USE_TWILIGHT_OUTLINE
+            // Outline the terminator and the edge of each twilight band
+            float lineWidth = twilightOutlineWidth * fwidth(depression);
+            float line = 0.0;
+            float edge = 0.0;
+            for (int i = 0; i < 4; i++) {
+              line = max(line, 1.0 - smoothstep(0.0, lineWidth, abs(depression - edge)));
+              if (i < 3)
+                edge += twilightWidths[i];
+            }
+            gl_FragColor.rgb = mix(gl_FragColor.rgb, twilightOutline.rgb, line * twilightOutline.a);
+          #endif
+
+          gl_FragColor.a = opacity;
+        }
+    `;
+
+    const defines = {};
+    if (bumptexture)
+      defines.USE_BUMP = '';
+    if (watertexture)
+      defines.USE_WATER = '';
+    if (opts.twilightBands)
+      defines.USE_TWILIGHT_BANDS = '';
+    if (opts.twilightOutline)
+      defines.USE_TWILIGHT_OUTLINE = '';
+    const receiveShadows = opts.receiveShadows || !!planet.rings;
+    if (receiveShadows)
+      defines.RECEIVE_SHADOWS = '';
+
+    // Fill in the twilight bands and outline from their defaults
+    const bands = ['civil', 'nautical', 'astronomical'].map(name =>
+                    ({ ..._twilightBands[name], ...opts.twilightBands?.[name] }));
+    const outline = { ..._twilightOutline,
+                      ...(typeof opts.twilightOutline === 'object' ? opts.twilightOutline : null) };
+
+    return new Globe.THREE.ShaderMaterial({
+        uniforms: {
+          // Filled in by three.js, for the shadows
+          ...(receiveShadows ? Globe.THREE.UniformsUtils.clone(Globe.THREE.UniformsLib.lights) : null),
+
+          dayTexture: { value: daytexture },
+          nightTexture: { value: nighttexture },
+          bumpTexture: { value: bumptexture },
+          waterTexture: { value: watertexture },
+          bumpScale: { value: planet.bumpScale ?? 1 },
+          specular: { value: _shaderColor('lightgrey') },
+          shininess: { value: 15 },
+          sunDirection: _sunDirection,
+          opacity: { value: 1.0 },
+          twilightWidths: { value: new Globe.THREE.Vector3(...bands.map(b => b.width)) },
+          twilightTints: { value: bands.map(b => _shaderColor(b.tint)) },
+          twilightOpacities: { value: new Globe.THREE.Vector3(...bands.map(b => b.opacity)) },
+          twilightOutline: { value: new Globe.THREE.Vector4(..._shaderColor(outline.color).toArray(),
+                                                            outline.opacity) },
+          twilightOutlineWidth: { value: outline.width }
+        },
+        defines: defines,
+        vertexShader: _dayNightVertexShader,
+        fragmentShader: fragmentShader,
+        lights: receiveShadows,
+        transparent: true
+      });
+  };
+
+  // Create the clouds shader for 'daynight' mode, which darkens and thins
+  // the clouds past the terminator
+  const _createDayNightCloudsMaterial = function(cloudstexture)
+  {
+    _sunDirection.value ??= new Globe.THREE.Vector3(1, 1, 1).normalize();
+
+    const fragmentShader = `
+        uniform sampler2D cloudsTexture;
+        uniform sampler2D previousCloudsTexture;
+        uniform float cloudsMix;
+        uniform vec3 sunDirection;
+        varying vec3 vWorldNormal;
+        varying vec2 vUv;
+
+        void main() {
+          float intensity = dot(normalize(vWorldNormal), sunDirection);
+          float daylight = smoothstep(-0.1, 0.1, intensity);
+          vec4 cloudsColor = mix(texture2D(previousCloudsTexture, vUv),
+                                 texture2D(cloudsTexture, vUv), cloudsMix);
+          gl_FragColor = vec4(cloudsColor.rgb * mix(0.1, 1.0, daylight),
+                              cloudsColor.a * mix(0.4, 1.0, daylight));
+        }
+    `;
+
+    return new Globe.THREE.ShaderMaterial({
+        uniforms: {
+          cloudsTexture: { value: cloudstexture },
+          previousCloudsTexture: _cloudsBlend.previous,
+          cloudsMix: _cloudsBlend.mix,
+          sunDirection: _sunDirection
+        },
+        vertexShader: _dayNightVertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true
+      });
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // CLOUDS
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Show or hide the clouds
+  let _cloudsshown = false;
+  let _clouds;
+  g.showClouds = async function(show)
+  {
+    // Do nothing if already in the desired show state
+    if (show === _cloudsshown)
+      return;
+
+    _cloudsshown = show;
+    _scheduleHashUpdate();
+
+    // Nothing more to do if the planet has no clouds
+    if (!planet.cloudsURL)
+      return;
+
+    // If showing, create them
+    if (show)
+    {
+      if (!_clouds)
+        await _createClouds();
+      else
+        _addClouds();
+    }
+
+    // Otherwise remove the clouds
+    else
+      g.scene().remove(_clouds);
+  }
+
+  const _createClouds = async function()
+  {
+    const forplanet = planet;
+
+    await _loadThreeJS();
+
+    // A sequence of frames starts with the frame for the current time, and
+    // an image with its smallest resolution
+    const sequence = _isImage(planet.cloudsURL) ? null : planet.cloudsURL;
+    const frames = sequence?.frames?.map(frame => ({ time: +new Date(frame.time), url: frame.url }))
+                                    .sort((a, b) => a.time - b.time);
+    const wanted = sequence && _currentCloudsFrame(sequence, frames);
+    let clouds, frame;
+    try
+    {
+      if (sequence)
+      {
+        let texture;
+        ({ frame, texture } = await _loadCloudsFrameOrEarlier(wanted, sequence, frames));
+        clouds = { texture, upgrade: () => {} };
+      }
+      else
+        clouds = await _loadProgressive(planet.cloudsURL);
+    }
+    catch (err)
+    {
+      _emit('error', err);
+
+      // Try a sequence again once its next frame may be out
+      if (sequence && planet === forplanet && !_destroyed)
+      {
+        clearTimeout(_cloudsRetryTimer);
+        _cloudsRetryTimer = setTimeout(() =>
+        {
+          if (planet === forplanet && !_clouds && !_destroyed)
+            _createClouds();
+        }, _cloudsRetryMs(sequence));
+      }
+      return;
+    }
+
+    // Give up if the planet was switched, or the globe was destroyed,
+    // while we were loading
+    if (planet !== forplanet || _destroyed)
+    {
+      clouds.texture.dispose();
+      return;
+    }
+
+    _cloudsSequence = sequence;
+    _cloudsFrames = frames;
+    _shownCloudsFrame = frame;
+    if (sequence && frame !== wanted)
+      _failedCloudsFrame = { ...wanted, retryAt: _wallNow() + _cloudsRetryMs(sequence) };
+
+    const widthSegments = _sphereSegments();
+
+    _clouds = new Globe.THREE.Mesh(
+      new Globe.THREE.SphereGeometry(g.getGlobeRadius() * (1 + planet.cloudsAltitude), 
+                                     widthSegments, widthSegments/2),
+      _createCloudsMaterial(clouds.texture)
+    );
+    clouds.upgrade(_clouds);
+
+    if (_cloudsshown)
+      _addClouds();
+    _emit('cloudsLoaded');
+    if (frame)
+      _emit('cloudsFrame', { time: new Date(frame.time), url: frame.url });
+  };
+
+  // Create the clouds' material for the current day mode
+  const _createCloudsMaterial = function(cloudsTexture)
+  {
+    if (opts.dayMode === 'daynight')
+      return _createDayNightCloudsMaterial(cloudsTexture);
+
+    const mat = new Globe.THREE.MeshPhongMaterial({ map: cloudsTexture, transparent: true });
+
+    // Clouds are a bit clearer at night
+    if (opts.dayMode === 'night')
+      mat.opacity = .4;
+
+    // A sequence of frames crossfades from the previous frame
+    if (_cloudsSequence)
+    {
+      mat.onBeforeCompile = shader =>
+      {
+        shader.uniforms.previousCloudsTexture = _cloudsBlend.previous;
+        shader.uniforms.cloudsMix = _cloudsBlend.mix;
+        shader.fragmentShader = 'uniform sampler2D previousCloudsTexture;\n' +
+                                'uniform float cloudsMix;\n' +
+          shader.fragmentShader.replace('#include <map_fragment>', `
+            #ifdef USE_MAP
+              diffuseColor *= mix(texture2D(previousCloudsTexture, vMapUv),
+                                  texture2D(map, vMapUv), cloudsMix);
+            #endif
+          `);
+      };
+    }
+
+    return mat;
+  };
+
+  // Rebuild the clouds' material after the day mode changes
+  const _updateCloudsMaterial = function()
+  {
+    if (!_clouds)
+      return;
+
+    const mat = _clouds.material;
+    _clouds.material = _createCloudsMaterial(mat.map ?? mat.uniforms.cloudsTexture.value);
+    mat.dispose();
+  };
+
+  // Remove the clouds for good
+  const _removeClouds = function()
+  {
+    cancelAnimationFrame(_cloudsFrame);
+    clearTimeout(_cloudsRetryTimer);
+    _finishCloudsFade();
+
+    if (_clouds)
+    {
+      g.scene().remove(_clouds);
+      _disposeMesh(_clouds);
+      _clouds = null;
+    }
+    _cloudsSequence = _cloudsFrames = null;
+    _shownCloudsFrame = _loadingCloudsFrame = _failedCloudsFrame = null;
+  };
+
+  // Function for adding the clouds once they are loaded
+  let _cloudsFrame, _cloudsTime;
+  const _addClouds = function()
+  {
+    // Add the clouds to the scene
+    g.scene().add(_clouds);
+
+    // Permanently animate the clouds
+    _cloudsTime = _animationNow();
+    _animateClouds();
+  };
+
+  // Rotate the clouds for the time since they were last rotated, at their
+  // speed in degrees per frame at 60 frames per second, and bring a
+  // sequence of frames up to the clouds' time
+  const _animateClouds = function()
+  {
+    cancelAnimationFrame(_cloudsFrame);
+    const now = _animationNow();
+    const rotate = _performance.rotateClouds && (!_cloudsSequence || _cloudsSequence.rotate);
+    if (rotate)
+      _clouds.rotation.y += planet.cloudsRotateSpeed * Math.PI / 180 * (now - _cloudsTime) * 60 / 1000;
+    _cloudsTime = now;
+
+    if (_cloudsSequence)
+    {
+      _updateCloudsFrame();
+      _stepCloudsFade(now);
+    }
+
+    if (_cloudsshown && (rotate || _cloudsSequence))
+      _cloudsFrame = requestAnimationFrame(_animateClouds);
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // CLOUD SEQUENCES
+  ///////////////////////////////////////////////////////////////////////////
+
+  // The planet's cloudsURL if it's a sequence of frames, with its frames
+  // (if listed) as { time, url } sorted by time in ms, the frames showing
+  // and loading, and the last frame that failed to load, with when to try
+  // it again (as retryAt)
+  let _cloudsSequence = null, _cloudsFrames = null;
+  let _shownCloudsFrame = null, _loadingCloudsFrame = null, _failedCloudsFrame = null;
+
+  // Trying again to create clouds whose first frame failed to load
+  let _cloudsRetryTimer;
+
+  // The time the frames are shown for, or null to follow the simulated clock
+  let _cloudsTimeSet = null;
+
+  // The frame fading out, and how far the crossfade to the frame showing
+  // has got, from 0 to 1. Shared by each clouds material's uniforms.
+  const _cloudsBlend = { previous: { value: null }, mix: { value: 1 } };
+  let _cloudsFadeStart = null;
+
+  // The last frame requested, and a promise that resolves once it has
+  // loaded and started fading in (or failed to load)
+  let _cloudsRequest = 0, _shownCloudsRequest = 0, _cloudsLoading = null;
+
+  // Gets the time the clouds show the frame for, when the planet's
+  // cloudsURL is a sequence of frames, or sets it to the given Date (or
+  // anything the Date constructor accepts), such as the time of a forecast
+  // loop's current step. Null follows the simulated clock (see time()).
+  g.cloudsTime = function(date)
+  {
+    if (date === undefined)
+      return _cloudsTimeSet != null ? new Date(_cloudsTimeSet) : _clockNow();
+
+    if (date !== null && isNaN(new Date(date)))
+      throw new Error(`globepretty: cloudsTime needs a date, not ${date}`);
+    _cloudsTimeSet = date === null ? null : +new Date(date);
+    _updateCloudsFrame();
+    return g;
+  };
+
+  // Get the frame of the given sequence for the clouds' time, as
+  // { time, url }: the latest frame at or before it (or else the first),
+  // or the url template's image for the time rounded down to refreshMs,
+  // with ${time} (ISO 8601) and ${timestamp} (ms) replaced by that time
+  const _currentCloudsFrame = function(sequence = _cloudsSequence, frames = _cloudsFrames)
+  {
+    const time = +g.cloudsTime();
+    if (frames)
+      return frames.findLast(frame => frame.time <= time) ?? frames[0];
+
+    return _templateCloudsFrame(sequence, Math.floor(time / sequence.refreshMs) * sequence.refreshMs);
+  };
+
+  // Get the frame before the given one: the one listed before it, or the
+  // url template's image for the period before. Null if there's none.
+  const _earlierCloudsFrame = function(frame, sequence = _cloudsSequence, frames = _cloudsFrames)
+  {
+    if (frames)
+      return frames[frames.indexOf(frame) - 1] ?? null;
+
+    return _templateCloudsFrame(sequence, frame.time - sequence.refreshMs);
+  };
+
+  const _templateCloudsFrame = function(sequence, time)
+  {
+    return {
+      time,
+      url: sequence.url.replaceAll('${time}', new Date(time).toISOString())
+                       .replaceAll('${timestamp}', time)
+    };
+  };
+
+  const _isSameCloudsFrame = function(frame, other)
+  {
+    return !!frame && !!other && frame.time === other.time && frame.url === other.url;
+  };
+
+  // How long to wait before trying a frame that failed to load again
+  const _cloudsRetryMs = function(sequence = _cloudsSequence)
+  {
+    return sequence.refreshMs || 60000;
+  };
+
+  // Load the given frame's image, at the widest resolution worth loading
+  const _loadCloudsFrame = function(frame)
+  {
+    return _loadTexture(_imageURLs(frame.url).at(-1));
+  };
+
+  // Load the given frame or, if it fails (as when the latest period's image
+  // isn't out yet), the frame before it. Resolves to the { frame, texture }
+  // loaded, with no texture if the frame before is showing already.
+  const _loadCloudsFrameOrEarlier = async function(frame, sequence, frames)
+  {
+    try
+    {
+      return { frame, texture: await _loadCloudsFrame(frame) };
+    }
+    catch (err)
+    {
+      const earlier = _earlierCloudsFrame(frame, sequence, frames);
+      if (!earlier)
+        throw err;
+      if (_isSameCloudsFrame(earlier, _shownCloudsFrame))
+        return { frame: earlier, texture: null };
+      return { frame: earlier, texture: await _loadCloudsFrame(earlier) };
+    }
+  };
+
+  // Start loading the frame for the clouds' time, unless it's already
+  // showing or loading, or failed too recently to try again, and crossfade
+  // to it (or the frame before, if it fails) once it loads, unless a later
+  // request got there first. Returns a promise that resolves once the
+  // latest frame requested has loaded.
+  const _updateCloudsFrame = function()
+  {
+    if (!_clouds || !_cloudsSequence)
+      return _cloudsLoading;
+
+    const frame = _currentCloudsFrame();
+    if (_isSameCloudsFrame(frame, _shownCloudsFrame) || _isSameCloudsFrame(frame, _loadingCloudsFrame) ||
+        _isSameCloudsFrame(frame, _failedCloudsFrame) && _wallNow() < _failedCloudsFrame.retryAt)
+      return _cloudsLoading;
+
+    const forclouds = _clouds;
+    const request = ++_cloudsRequest;
+    _loadingCloudsFrame = frame;
+
+    // Stop loading, noting the frame to try again later if it failed
+    const settle = failed =>
+    {
+      if (request === _cloudsRequest)
+        _loadingCloudsFrame = null;
+      if (failed)
+        _failedCloudsFrame = { ...frame, retryAt: _wallNow() + _cloudsRetryMs() };
+    };
+
+    _cloudsLoading = _loadCloudsFrameOrEarlier(frame).then(({ frame: loaded, texture }) =>
+    {
+      if (_clouds !== forclouds || _destroyed)
+      {
+        texture?.dispose();
+        return;
+      }
+      settle(loaded !== frame);
+      if (!texture)
+        return;
+      if (request < _shownCloudsRequest)
+      {
+        texture.dispose();
+        return;
+      }
+
+      _shownCloudsRequest = request;
+      _shownCloudsFrame = loaded;
+      _crossfadeClouds(texture);
+      _emit('cloudsFrame', { time: new Date(loaded.time), url: loaded.url });
+    },
+    err =>
+    {
+      if (_clouds !== forclouds || _destroyed)
+        return;
+      settle(true);
+      _emit('error', err);
+    });
+    return _cloudsLoading;
+  };
+
+  // Start crossfading the clouds to the given texture
+  const _crossfadeClouds = function(texture)
+  {
+    _finishCloudsFade();
+
+    const mat = _clouds.material;
+    _cloudsBlend.previous.value = mat.map ?? mat.uniforms.cloudsTexture.value;
+    _cloudsBlend.mix.value = 0;
+    if (mat.map)
+      mat.map = texture;
+    else
+      mat.uniforms.cloudsTexture.value = texture;
+
+    _cloudsFadeStart = _animationNow();
+    _stepCloudsFade(_cloudsFadeStart);
+  };
+
+  // Move the crossfade on to the given animation time, letting go of the
+  // previous frame once it has faded out
+  const _stepCloudsFade = function(now)
+  {
+    if (_cloudsFadeStart == null)
+      return;
+
+    const ms = _cloudsSequence?.crossfadeMs ?? 1000;
+    _cloudsBlend.mix.value = ms > 0 ? Math.min(1, (now - _cloudsFadeStart) / ms) : 1;
+    if (_cloudsBlend.mix.value === 1)
+      _finishCloudsFade();
+  };
+
+  // Skip to the end of any crossfade
+  const _finishCloudsFade = function()
+  {
+    _cloudsBlend.previous.value?.dispose();
+    _cloudsBlend.previous.value = null;
+    _cloudsBlend.mix.value = 1;
+    _cloudsFadeStart = null;
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // STAR
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Create the shader for a star's surface, which shines by itself, darkens
+  // and reddens toward the limb, and slowly churns with granulation (of one
+  // octave rather than two with maxPerformance)
+  const _createStarMaterial = function(startexture)
+  {
+    const fragmentShader = `
+        uniform sampler2D starTexture;
+        uniform float time;
+        uniform float opacity;
+        varying vec3 vWorldNormal;
+        varying vec3 vWorldPosition;
+        varying vec2 vUv;
+
+        float hash(vec3 p) {
+          p = fract(p * 0.3183099 + 0.1);
+          p *= 17.0;
+          return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+        }
+
+        // Smooth value noise
+        float noise(vec3 p) {
+          vec3 i = floor(p);
+          vec3 f = fract(p);
+          f = f * f * (3.0 - 2.0 * f);
+          return mix(mix(mix(hash(i), hash(i + vec3(1, 0, 0)), f.x),
+                         mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+                     mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x),
+                         mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y), f.z);
+        }
+
+        void main() {
+          vec3 normal = normalize(vWorldNormal);
+          vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+          vec4 color = texture2D(starTexture, vUv);
+
+          // Cells that drift and boil, sampled on the sphere so there's no
+          // seam
+          vec3 p = normal * 60.0;
+          float cells = noise(p + vec3(0.0, time * 0.05, 0.0));
+          #if GRANULATION_OCTAVES > 1
+            cells = cells * 0.6 + noise(p * 2.3 - vec3(time * 0.08, 0.0, 0.0)) * 0.4;
+          #endif
+          color.rgb *= 0.88 + 0.24 * cells;
+
+          // Linear limb darkening law, reddening toward the limb
+          float mu = max(dot(normal, viewDirection), 0.0);
+          color.rgb *= (1.0 - 0.6 * (1.0 - mu)) * mix(vec3(1.0, 0.7, 0.45), vec3(1.0), mu);
+
+          gl_FragColor = vec4(color.rgb, opacity);
+        }
+    `;
+
+    const defines = { GRANULATION_OCTAVES: opts.maxPerformance ? 1 : 2 };
+
+    return new Globe.THREE.ShaderMaterial({
+        uniforms: {
+          starTexture: { value: startexture },
+          time: { value: 0 },
+          opacity: { value: 1.0 }
+        },
+        defines: defines,
+        vertexShader: _dayNightVertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+
+        // The noise overflows the low precision that maxPerformance asks for
+        precision: 'highp'
+      });
+  };
+
+  // Animate the star's granulation. Its time counts from
+  // _starEpoch, which capturing resets so the granulation comes out the same.
+  let _starFrame = null;
+  let _starEpoch = 0;
+  const _startStarLoop = function()
+  {
+    _stopStarLoop();
+    _animateStar();
+  };
+
+  const _animateStar = function()
+  {
+    cancelAnimationFrame(_starFrame);
+    // Wrapped so the noise keeps its precision however long the page is open
+    const time = _surface?.material.uniforms?.time;
+    if (time)
+      time.value = (_animationNow() - _starEpoch) / 1000 % 1000;
+    _starFrame = requestAnimationFrame(_animateStar);
+  };
+
+  const _stopStarLoop = function()
+  {
+    cancelAnimationFrame(_starFrame);
+    _starFrame = null;
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // ATMOSPHERE
+  ///////////////////////////////////////////////////////////////////////////
+
+  // Our glow replaces globe.gl's, which has one look for every planet
+  let _atmosphereMesh = null;
+  let _atmosphereShown = opts.showAtmosphere !== false;
+  g.showAtmosphere(false);
+
+  // Gets whether to show the planet's atmosphere glow, if it has one, or
+  // shows or hides it
+  g.showAtmosphere = function(show)
+  {
+    if (show === undefined)
+      return _atmosphereShown;
+
+    _atmosphereShown = !!show;
+    if (_atmosphereMesh)
+      _atmosphereMesh.visible = _atmosphereShown;
+    return g;
+  };
+
+  // Gets the color of the planet's atmosphere glow, or overrides it with the
+  // given color. Null goes back to the planet's own.
+  g.atmosphereColor = function(color)
+  {
+    if (color === undefined)
+      return _atmosphere?.color ?? _atmosphereOverrides.color;
+
+    _checkAtmosphereOption('atmosphereColor', color);
+    _atmosphereOverrides.color = color;
+    _applyAtmosphere();
+    if (_atmosphereMesh)
+      _atmosphereMesh.material.uniforms.color.value = _shaderColor(_atmosphere.color);
+    return g;
+  };
+
+  // Gets the thickness of the planet's atmosphere glow in globe radii, or
+  // overrides it with the given one. Null goes back to the planet's own.
+  g.atmosphereAltitude = function(altitude)
+  {
+    if (altitude === undefined)
+      return _atmosphere?.altitude ?? _atmosphereOverrides.altitude;
+
+    _checkAtmosphereOption('atmosphereAltitude', altitude);
+    _atmosphereOverrides.altitude = altitude;
+    _applyAtmosphere();
+    if (_atmosphereMesh)
+      _showAtmosphere();
+    return g;
+  };
+
+  // Show the current planet's atmosphere glow, if it has one
+  const _showAtmosphere = async function()
+  {
+    _removeAtmosphere();
+
+    const foratmosphere = _atmosphere;
+    if (!foratmosphere)
+      return;
+
+    await _loadThreeJS();
+    if (_atmosphere !== foratmosphere || _destroyed)
+      return;
+
+    // A shell around the planet, of which we see the inside of the far side
+    // glowing around the planet's limb
+    const radius = g.getGlobeRadius();
+    const geo = new Globe.THREE.SphereGeometry(radius * (1 + _atmosphere.altitude), 90, 45);
+    _atmosphereMesh = new Globe.THREE.Mesh(geo, _createAtmosphereMaterial());
+    _atmosphereMesh.visible = _atmosphereShown;
+    g.scene().add(_atmosphereMesh);
+  };
+
+  // Create the glow's shader, which is brightest just outside the limb and
+  // fades to nothing at the top of the atmosphere
+  const _createAtmosphereMaterial = function()
+  {
+    _sunDirection.value ??= new Globe.THREE.Vector3(1, 1, 1).normalize();
+
+    const fragmentShader = `
+        uniform vec3 color;
+        uniform float intensity;
+        uniform float limb;
+        uniform float power;
+        uniform vec3 sunDirection;
+        uniform float nightFade;
+        varying vec3 vWorldNormal;
+        varying vec3 vWorldPosition;
+
+        void main() {
+          vec3 normal = normalize(vWorldNormal);
+          vec3 viewDirection = normalize(vWorldPosition - cameraPosition);
+          float glow = pow(clamp(dot(normal, viewDirection) / limb, 0.0, 1.0), power);
+
+          // Fade out past the terminator
+          float daylight = smoothstep(-0.3, 0.2, dot(normal, sunDirection));
+          glow *= mix(1.0, daylight, nightFade);
+
+          gl_FragColor = vec4(color * glow * intensity, 1.0);
+        }
+    `;
+
+    // How the shell's far side meets the view just past the limb
+    const limb = Math.sqrt(1 - 1 / (1 + _atmosphere.altitude) ** 2);
+
+    return new Globe.THREE.ShaderMaterial({
+        uniforms: {
+          color: { value: _shaderColor(_atmosphere.color) },
+          intensity: { value: _atmosphere.intensity },
+          limb: { value: limb },
+          power: { value: _atmosphere.power ?? 3 },
+          sunDirection: _sunDirection,
+          nightFade: { value: opts.dayMode === 'daynight' ? 1 : 0 }
+        },
+        vertexShader: _dayNightVertexShader,
+        fragmentShader: fragmentShader,
+        side: Globe.THREE.BackSide,
+        blending: Globe.THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+      });
+  };
+
+  // Fade the glow on the night side only in 'daynight' mode
+  const _updateAtmosphereMaterial = function()
+  {
+    if (_atmosphereMesh)
+      _atmosphereMesh.material.uniforms.nightFade.value = opts.dayMode === 'daynight' ? 1 : 0;
+  };
+
+  // Remove the atmosphere glow, if any
+  const _removeAtmosphere = function()
+  {
+    if (_atmosphereMesh)
+    {
+      g.scene().remove(_atmosphereMesh);
+      _disposeMesh(_atmosphereMesh);
+      _atmosphereMesh = null;
+    }
+  };
+
+  ///////////////////////////////////////////////////////////////////////////
+  // RINGS
+  ///////////////////////////////////////////////////////////////////////////
+
+  let _rings = null;
+
+  // Show the current planet's rings, if it has any
+  const _showRings = async function()
+  {
+    _removeRings();
+
+    const forplanet = planet;
+    const rings = planet.rings;
+    if (!rings)
+      return;
+
+    await _loadThreeJS();
+
+    // Draw the rings ourselves if there's no image, or it won't load
+    let texture = null;
+    if (rings.imageURL)
+    {
+      try
+      {
+        texture = await _loadTexture(rings.imageURL);
+      }
+      catch (err)
+      {
+        _emit('error', err);
+      }
+    }
+    texture ??= _createRingsTexture(rings);
+
+    // Give up if the planet was switched, or the globe was destroyed, while
+    // we were loading
+    if (planet !== forplanet || _destroyed)
+    {
+      texture.dispose();
+      return;
+    }
+    texture.colorSpace = Globe.THREE.SRGBColorSpace;
+
+    const radius = g.getGlobeRadius();
+    const geo = new Globe.THREE.RingGeometry(radius * rings.innerRadius, radius * rings.outerRadius,
+                                             256, 1);
+
+    // Run the texture across the rings from the inner edge to the outer
+    const pos = geo.attributes.position;
+    const uv = geo.attributes.uv;
+    for (let i = 0; i < pos.count; i++)
+    {
+      const r = Math.hypot(pos.getX(i), pos.getY(i)) / radius;
+      uv.setXY(i, (r - rings.innerRadius) / (rings.outerRadius - rings.innerRadius), .5);
+    }
+
+    // The alpha test keeps the gaps between the rings from casting shadows
+    const mat = new Globe.THREE.MeshLambertMaterial({ map: texture, transparent: true,
+                                                      opacity: rings.opacity ?? 1,
+                                                      side: Globe.THREE.DoubleSide,
+                                                      alphaTest: .05 });
+
+    // Lay the rings flat around the equator, tipped by any tilt
+    _rings = new Globe.THREE.Mesh(geo, mat);
+    _rings.rotation.x = -Math.PI / 2 + (rings.tilt ?? 0) * Math.PI / 180;
+
+    _setupShadows();
+    g.scene().add(_rings);
+  };
+
+  // Draw banded rings of the given color (or a neutral grey) across a
+  // canvas, thick wherever the given bands are (or throughout)
+  const _createRingsTexture = function(rings)
+  {
+    const width = 1024;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, width, 1);
+
+    const color = _shaderColor(rings.color ?? '#b0aca4');
+    const bands = rings.bands ?? [{ inner: rings.innerRadius, outer: rings.outerRadius, opacity: .7 }];
+
+    for (let i = 0; i < width; i++)
+    {
+      const r = rings.innerRadius + (i + .5) / width * (rings.outerRadius - rings.innerRadius);
+      const density = bands.reduce((sum, b) => sum + (r >= b.inner && r < b.outer ? b.opacity ?? 1 : 0), 0);
+
+      // Break the bands into fine ringlets of varying density and shade
+      const ringlets = .75 + .15 * Math.sin(r * 211) + .1 * Math.sin(r * 1013 + 1.3);
+      const shade = .85 + .15 * Math.sin(r * 89 + .7);
+
+      image.data[i * 4] = color.r * shade * 255;
+      image.data[i * 4 + 1] = color.g * shade * 255;
+      image.data[i * 4 + 2] = color.b * shade * 255;
+      image.data[i * 4 + 3] = Math.min(1, density * ringlets) * 255;
+    }
+    ctx.putImageData(image, 0, 0);
+
+    return new Globe.THREE.CanvasTexture(canvas);
+  };
+
+  // Remove the rings, if any
+  const _removeRings = function()
+  {
+    if (_rings)
+    {
+      g.scene().remove(_rings);
+      _disposeMesh(_rings);
+      _rings = null;
+    }
+  };
 
   ///////////////////////////////////////////////////////////////////////////
-  // REALISTIC SURFACE OVERLAY
+  // PERFORMANCE
   ///////////////////////////////////////////////////////////////////////////
 
-  // Show or hide the surface overlay
-  let _surface, _solar;
-  const _showSurface = async function()
+  // What adaptivePerformance gives up, level by level, to hold targetFps:
+  // the pixel ratio's scale, whether the clouds rotate, whether there are
+  // shadows, and how many times coarser the surface and cloud spheres are
+  const _performanceLevels =
+  [
+    { pixelRatio: 1,   rotateClouds: true,  shadows: true,  curvature: 1 },
+    { pixelRatio: .75, rotateClouds: true,  shadows: true,  curvature: 1 },
+    { pixelRatio: .75, rotateClouds: false, shadows: true,  curvature: 1 },
+    { pixelRatio: .75, rotateClouds: false, shadows: false, curvature: 1 },
+    { pixelRatio: .75, rotateClouds: false, shadows: false, curvature: 2 },
+    { pixelRatio: .5,  rotateClouds: false, shadows: false, curvature: 2 }
+  ];
+  let _performanceLevel = 0;
+  let _performance = _performanceLevels[0];
+
+  // The width segments for the surface and cloud spheres
+  const _sphereSegments = function()
   {
-    await _loadThreeJS();
-
-    _solar = opts.dayMode === 'daynight' ? await import('solar') : null;
-
-    const planetimage = opts.dayMode === 'night' ? planet.nightImageURL : planet.imageURL;
+    return Math.max(4, Math.round(360 / (g.globeCurvatureResolution() * _performance.curvature)));
+  };
 
-    const surfaceTexture = await new Globe.THREE.TextureLoader().loadAsync(planetimage);
-    const bumpTexture = planet.bumpImageURL 
-                        ? await new Globe.THREE.TextureLoader().loadAsync(planet.bumpImageURL)
-                        : null;
-    const waterTexture = planet.waterURL
-                         ? await new Globe.THREE.TextureLoader().loadAsync(planet.waterURL)
-                         : null;
-    const surface2Texture = opts.dayMode === 'daynight' 
-                              ? await new Globe.THREE.TextureLoader().loadAsync(planet.nightImageURL)
-                              : null;
+  // Switch to the given performance level, changing only what differs
+  const _setPerformanceLevel = function(level)
+  {
+    const prev = _performance;
+    _performanceLevel = level;
+    _performance = _performanceLevels[level];
 
-    const matopts = opts.dayMode === 'night' 
-                     ? { color: 0x000000, emissive: 0xffffff, emissiveMap: surfaceTexture }
-                     : { };
-    const mat = opts.dayMode === 'daynight'
-                  ? _createDayNightMaterial(surfaceTexture, surface2Texture)
-                  : waterTexture
-                    ? new Globe.THREE.MeshPhongMaterial({ ...matopts, map: surfaceTexture, 
-                                                          transparent: true, bumpMap: bumpTexture,
-                                                          bumpScale: planet.bumpScale,
-                                                          specularMap: waterTexture,
-                                                          specular: new Globe.THREE.Color('lightgrey'),
-                                                          shininess: 15
-                                                        })
-                    : new Globe.THREE.MeshLambertMaterial({ ...matopts, map: surfaceTexture, 
-                                                            transparent: true, bumpMap: bumpTexture,
-                                                            bumpScale: planet.bumpScale
-                                                          });
-    const widthSegments = Math.max(4, Math.round(360 / g.globeCurvatureResolution()));
-    const geo = new Globe.THREE.SphereGeometry(g.getGlobeRadius() * (1 + opts.surfaceAltitude), 
-                                               widthSegments, widthSegments/2);
-    _surface = new Globe.THREE.Mesh(geo, mat);
+    if (_performance.pixelRatio !== prev.pixelRatio)
+      _applyPixelRatio();
 
-    // Cast and accept shadows if we should
-    if (opts.receiveShadows)
-      _setupShadows();
+    if (_performance.rotateClouds !== prev.rotateClouds && _clouds && _cloudsshown)
+    {
+      _cloudsTime = _animationNow();
+      _animateClouds();
+    }
 
-    // If water, change light position to see the specularMap's effect
-    const dirlight = g.lights().find(l => l.type === 'DirectionalLight');
-    dirlight && dirlight.position.set(1, 1, 1);
+    if (_performance.shadows !== prev.shadows && (opts.receiveShadows || _rings))
+    {
+      if (_performance.shadows)
+        _setupShadows();
+      else
+      {
+        g.renderer().shadowMap.enabled = false;
+        g.lights().forEach(l => l.castShadow = false);
+      }
+    }
 
-    // Set sun position
-    if (opts.dayMode === 'daynight')
-      _startSunLifeLoop();
+    if (_performance.curvature !== prev.curvature)
+      [_surface, _clouds].forEach(mesh =>
+      {
+        if (!mesh)
+          return;
+        const segments = _sphereSegments();
+        const radius = mesh.geometry.parameters.radius;
+        mesh.geometry.dispose();
+        mesh.geometry = new Globe.THREE.SphereGeometry(radius, segments, segments/2);
+      });
 
-    // Add the surface to the scene
-    g.scene().add(_surface);
-  }
+    _emit('performanceLevel', level);
+  };
 
-  let _prevSurfaceOpacity;
-  const _changeSurfaceOpacity = function(altitude)
+  // Watch the frame rate once a second. Give up the next level after two
+  // slow seconds in a row. Try the previous level back after a few fast
+  // seconds in a row, waiting twice as long each time that proves too
+  // much, so the level doesn't flip back and forth.
+  let _governorFrame;
+  let _governor = null;
+  const _startGovernor = function()
   {
-    if (!_surface || !opts.tileEngineURL)
+    if (!opts.adaptivePerformance)
       return;
-
-    const opacity1alt = 1;
-    const opacity0alt = .4;
-
-    const opacity = Math.min(1, Math.max(0, (altitude - opacity0alt) / (opacity1alt - opacity0alt)));
-
-    if (_solar)
-      _surface.material.uniforms.opacity.value = opacity;
-    else
-      _surface.material.opacity = opacity;
-
-    // When we start, the camera is far from the planet's surface and its near value
-    // is 0.05. Anything less than that causes depth z-fighting and surface flickering.
-    // But we need it to be less than this if we want to be able to zoom beyond slippy
-    // map zoom level 14. So we cheat and only change the camera near value to the
-    // smaller value when we are fully zoomed beyond the surface layer.
-    if (_prevSurfaceOpacity > 0 && opacity === 0)
-      _changeCameraNear(1e-5);
-    else if (_prevSurfaceOpacity === 0 && opacity > 0)
-      _changeCameraNear(0.05);
-    _prevSurfaceOpacity = opacity;
+    _governor = _governor ?? { slow: 0, fast: 0, fastNeeded: 3, restoredAt: -Infinity };
+    _governor.windowStart = null;
+    cancelAnimationFrame(_governorFrame);
+    _governorFrame = requestAnimationFrame(_govern);
   };
-  
-  const _changeCameraNear = function(near)
+
+  const _stopGovernor = function()
   {
-    // Allow us to zoom in beyond zoom 14
-    camera.near = near;
-    camera.far = g.getGlobeRadius() * 100;
-    controls.minDistance = g.getGlobeRadius() * (1 + 5 / 2**g.globeTileEngineMaxLevel());
-    controls.maxDistance = camera.far - g.getGlobeRadius();
-    camera.updateProjectionMatrix();
+    cancelAnimationFrame(_governorFrame);
   };
 
-  let _prevLatDelta = 0;
-  const _changeCameraAngle = function(latLngAlt)
+  const _govern = function(now)
   {
-    // Below a given altitude we both tilt the camera (to look toward the
-    // northern horizon) and move the camera slightly south (to maintain
-    // looking at the same surface point we were dollying toward).
-    const startTiltAlt = .003;
-    const maxLatDelta = -.015;
+    _governorFrame = requestAnimationFrame(_govern);
 
-    if (!Globe.THREE || !controls.facing || latLngAlt.lat < -90 - maxLatDelta)
+    // Captured frames are stepped, not timed
+    const gov = _governor;
+    if (_capture || gov.windowStart == null)
+    {
+      gov.windowStart = now;
+      gov.frames = 0;
       return;
+    }
 
-    const pctTilt = Math.max(0, Math.min(1, (startTiltAlt - latLngAlt.altitude) / startTiltAlt));
-    const latDeltaAtAlt = maxLatDelta * pctTilt;
-    const newLatDelta = latDeltaAtAlt - _prevLatDelta;
+    gov.frames++;
+    if (now - gov.windowStart < 1000)
+      return;
+    const fps = gov.frames * 1000 / (now - gov.windowStart);
+    gov.windowStart = now;
+    gov.frames = 0;
 
-    // Position camera
-    const newLat = latLngAlt.lat + newLatDelta;
-    g.pointOfView({ lat: newLat });
+    gov.slow = fps < opts.targetFps * .9 ? gov.slow + 1 : 0;
+    gov.fast = fps > opts.targetFps * 1.2 ? gov.fast + 1 : 0;
 
-    // Tilt camera to lookAt the point directly below the camera if it weren't
-    // repositioned above
-    if (latLngAlt.altitude > startTiltAlt)
-      controls.facing.set(0, 0, 0);
-    else
+    if (gov.slow >= 2 && _performanceLevel < _performanceLevels.length - 1)
     {
-      const currPos = camera.position;
-      const midLat = newLat - latDeltaAtAlt / 5;
-      const lookAtPos = g.getCoords(midLat, latLngAlt.lng, 0);
-
-      // How far is the camera from the origin
-      const distToOrigin = latLngAlt.altitude * 100 + 100;
-
-      // Find point that is same distance from camera but on line from currPos thru lookAtPos
-      controls.facing.set(lookAtPos.x, lookAtPos.y, lookAtPos.z);
-      controls.facing.subVectors(controls.facing, currPos) // Line from currPos thru lookAtPos
-                     .normalize()                          // normalized to unit vector
-                     .multiplyScalar(distToOrigin)         // scaled to same distance as to origin
-                     .add(currPos);                        // added to camera position
+      // Restoring the level we're leaving was too much
+      if (now - gov.restoredAt < 10000)
+        gov.fastNeeded = Math.min(60, gov.fastNeeded * 2);
+      _setPerformanceLevel(_performanceLevel + 1);
+      gov.slow = gov.fast = 0;
     }
+    else if (gov.fast >= gov.fastNeeded && _performanceLevel > 0)
+    {
+      _setPerformanceLevel(_performanceLevel - 1);
+      gov.restoredAt = now;
+      gov.slow = gov.fast = 0;
+    }
+  };
 
-    _prevLatDelta = latDeltaAtAlt;
+  // Gets the adaptive performance level, from 0 for full quality up to 5
+  g.performanceLevel = function()
+  {
+    return _performanceLevel;
   };
 
-  // Get position of sun at given dt
-  const _sunPosAt = function(_solar, dt)
+  // Pause rendering and every animation (the spin, clouds, star, tours,
+  // crossfades and the sun) while the page is hidden or the container is
+  // scrolled off-screen. Animation time stands still meanwhile, so they
+  // carry on from where they were.
+  let _renderPaused = false;
+  let _renderPausedAt;
+  let _onScreen = true;
+
+  // Whether the app paused rendering itself with pauseAnimation(), in which
+  // case only its own resumeAnimation() starts it again
+  let _appPaused = false;
+  const _pauseAnimation = g.pauseAnimation;
+  const _resumeAnimation = g.resumeAnimation;
+
+  g.pauseAnimation = function()
   {
-    const day = new Date(+dt).setUTCHours(0, 0, 0, 0);
-    const t = _solar.century(dt);
-    const lng = (day - dt) / 864e5 * 360 - 180;
-    return [lng - _solar.equationOfTime(t) / 4, _solar.declination(t)];
+    _appPaused = true;
+    _pauseAnimation();
+    return g;
   };
 
-  const _moveSunToPositionAtDate = function(dt = new Date())
+  g.resumeAnimation = function()
   {
-    if (_solar && _surface)
-      _surface.material.uniforms.sunPosition.value.set(..._sunPosAt(_solar, dt));
+    _appPaused = false;
+    if (!_renderPaused && !_capture)
+      _resumeAnimation();
+    return g;
   };
 
-  const _startSunLifeLoop = function()
+  const _updateRenderPause = function()
   {
-    _moveSunToPositionAtDate();
+    const pause = opts.pauseWhenHidden && (document.hidden || !_onScreen) && !_destroyed;
+    if (pause === _renderPaused || _capture)
+      return;
 
-    // Update once per minute
-    setInterval(_moveSunToPositionAtDate, 60 * 1000);
+    _renderPaused = pause;
+    if (pause)
+    {
+      _renderPausedAt = performance.now();
+      _pauseAnimation();
+      _stopSunLifeLoop();
+      _stopGovernor();
+      [_cloudsFrame, _starFrame, _tour?.frame, _fadeFrame].forEach(frame => cancelAnimationFrame(frame));
+    }
+    else
+    {
+      _animationOffset -= performance.now() - _renderPausedAt;
+      if (!_appPaused)
+        _resumeAnimation();
+      if (_solar)
+        _startSunLifeLoop();
+      _startGovernor();
+      _stepAnimations();
+    }
   };
 
-  const _updateSunRotation = function(latLngAlt)
+  const _onVisibilityChange = () => _updateRenderPause();
+  let _intersectionObserver;
+  if (opts.pauseWhenHidden)
   {
-    if (_solar && _surface)
-      _surface.material.uniforms.globeRotation.value.set(latLngAlt.lng, latLngAlt.lat);
-  };
+    document.addEventListener('visibilitychange', _onVisibilityChange);
+    _intersectionObserver = new IntersectionObserver(entries =>
+    {
+      _onScreen = entries[entries.length - 1].isIntersecting;
+      _updateRenderPause();
+    });
+    _intersectionObserver.observe(container);
+  }
+
+  ///////////////////////////////////////////////////////////////////////////
+  // RESIZING
+  ///////////////////////////////////////////////////////////////////////////
 
-  // Create day/night shader
-  const _createDayNightMaterial = function(daytexture, nighttexture)
+  // Handle container resizing
+  const _onResize = function()
   {
-    const vertexShader = `
-        varying vec3 vNormal;
-        varying vec2 vUv;
-        void main() {
-          vNormal = normalize(normalMatrix * normal);
-          vUv = uv;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `;
+    if (opts.pixelRatio === 'device')
+      _applyPixelRatio();
 
-    const fragmentShader = `
-        #define PI 3.141592653589793
-        uniform sampler2D dayTexture;
-        uniform sampler2D nightTexture;
-        uniform vec2 sunPosition;
-        uniform vec2 globeRotation;
-        uniform float opacity;
-        varying vec3 vNormal;
-        varying vec2 vUv;
+    g.width(container.offsetWidth)
+     .height(container.offsetHeight);
+  };
 
-        float toRad(in float a) {
-          return a * PI / 180.0;
-        }
+  // Watch the container itself, so the globe follows panels, grid cells and
+  // split panes as well as the window
+  let _resizeObserver;
+  if (opts.autoResize)
+  {
+    _resizeObserver = new ResizeObserver(_onResize);
+    _resizeObserver.observe(container);
+  }
 
-        vec3 Polar2Cartesian(in vec2 c) { // [lng, lat]
-          float theta = toRad(90.0 - c.x);
-          float phi = toRad(90.0 - c.y);
-          return vec3( // x,y,z
-            sin(phi) * cos(theta),
-            cos(phi),
-            sin(phi) * sin(theta)
-          );
-        }
+  // Follow the device pixel ratio as the window moves between screens or is
+  // zoomed. There's no event for it, so watch a media query for the current
+  // ratio and replace it whenever it stops matching.
+  let _pixelRatioQuery;
+  const _watchPixelRatio = function()
+  {
+    _pixelRatioQuery?.removeEventListener('change', _onPixelRatioChange);
+    _pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    _pixelRatioQuery.addEventListener('change', _onPixelRatioChange);
+  };
 
-        void main() {
-          float invLon = toRad(globeRotation.x);
-          float invLat = -toRad(globeRotation.y);
-          mat3 rotX = mat3(
-            1, 0, 0,
-            0, cos(invLat), -sin(invLat),
-            0, sin(invLat), cos(invLat)
-          );
-          mat3 rotY = mat3(
-            cos(invLon), 0, sin(invLon),
-            0, 1, 0,
-            -sin(invLon), 0, cos(invLon)
-          );
-          vec3 rotatedSunDirection = rotX * rotY * Polar2Cartesian(sunPosition);
-          float intensity = dot(normalize(vNormal), normalize(rotatedSunDirection));
-          vec4 dayColor = texture2D(dayTexture, vUv);
-          vec4 nightColor = texture2D(nightTexture, vUv);
-          float blendFactor = smoothstep(-0.1, 0.1, intensity);
-          gl_FragColor = mix(nightColor, dayColor, blendFactor);
-          gl_FragColor.a = opacity;
-        }
-    `;
+  // Only resize as well if we're resizing at all, or we'd undo the size
+  // the app gave the globe
+  const _onPixelRatioChange = function()
+  {
+    if (opts.autoResize)
+      _onResize();
+    else
+      _applyPixelRatio();
+    _watchPixelRatio();
+  };
 
-    return new Globe.THREE.ShaderMaterial({
-        uniforms: {
-          dayTexture: { value: daytexture },
-          nightTexture: { value: nighttexture },
-          sunPosition: { value: new Globe.THREE.Vector2() },
-          globeRotation: { value: new Globe.THREE.Vector2() },
-          opacity: { value: 1.0 }
-        },
-        vertexShader: vertexShader,
-        fragmentShader: fragmentShader,
-        transparent: true
-      });
+  // Set the renderer's pixel ratio from the pixelRatio option, scaled down
+  // by any adaptive performance level
+  const _initialPixelRatio = g.renderer().getPixelRatio();
+  const _applyPixelRatio = function()
+  {
+    const ratio = opts.pixelRatio === 'device' ? window.devicePixelRatio
+                                               : opts.pixelRatio || _initialPixelRatio;
+    g.renderer().setPixelRatio(ratio * _performance.pixelRatio);
   };
 
+  if (opts.pixelRatio === 'device')
+  {
+    _applyPixelRatio();
+    _watchPixelRatio();
+  }
+  else if (opts.pixelRatio)
+    _applyPixelRatio();
+
   ///////////////////////////////////////////////////////////////////////////
-  // CLOUDS
+  // SNAPSHOTS
   ///////////////////////////////////////////////////////////////////////////
 
-  // Show or hide the clouds
-  let _cloudsshown = false;
-  let _clouds;
-  g.showClouds = async function(show)
+  // Renders the globe into an image Blob. Any of the options:
+  //   width, height   The image size in pixels. Either alone keeps the
+  //                   globe's aspect ratio. Defaults to the canvas's size.
+  //   format          'png' (the default), 'jpeg', 'webp' or a MIME type
+  //   quality         From 0 to 1, for jpeg and webp
+  // Returns a promise of the Blob.
+  g.snapshot = async function(options)
   {
-    // Do nothing if already in the desired show state
-    if (show === _cloudsshown || !planet?.cloudsURL)
-      return;
-
-    _cloudsshown = show;
+    if (!_globeready)
+      throw new Error('globepretty: the globe must be ready before taking a snapshot');
+    return _renderToBlob(options);
+  };
 
-    // If showing, create them
-    if (show)
+  // Renders a sequence of frames for a video, each stepped exactly 1/fps
+  // seconds on from the last: the spin, the clouds' rotation and frames
+  // (each loaded before its frame is rendered), any tour's camera, the sun
+  // in 'daynight' mode, the star's granulation and any day mode crossfade.
+  // So the same options give the same frames every time.
+  // The options are as for snapshot(), plus:
+  //   frames          How many frames to capture (required)
+  //   fps             Frames per second (default 30)
+  //   state           A state to start from, as for setState(). Give at
+  //                   least the camera and time for identical captures.
+  //   tour            Waypoints for a tour to fly from the first frame
+  //   onFrame         A function(blob, index) called with each frame. If
+  //                   it returns a promise, the next frame waits for it.
+  // Each frame also fires the 'captureFrame' event. Returns a promise that
+  // resolves once the last frame has been handled.
+  g.capture = async function(options = {})
+  {
+    const { frames, fps = 30, state, tour, onFrame } = options;
+    if (!_globeready)
+      throw new Error('globepretty: the globe must be ready before capturing');
+    if (_capture)
+      throw new Error('globepretty: already capturing');
+    if (!(frames > 0) || !(fps > 0))
+      throw new Error('globepretty: capture needs a positive number of frames and fps');
+
+    // Only the stepped frames move anything from here
+    _pauseAnimation();
+    controls.enabled = false;
+    const cloudsRotation = _clouds?.rotation.y;
+
+    try
     {
-      if (!_clouds)
-        await _createClouds();
-      else
-        _addClouds();
-    }
-
-    // Otherwise remove the clouds
-    else
-      g.scene().remove(_clouds);
-  }
+      if (state)
+      {
+        await g.setState(state);
+
+        // The camera moving may have counted as an interaction
+        if (state.spin != null)
+          g.spinGlobe(+state.spin);
+      }
+      clearTimeout(_nonInteractionTimer);
+      _nonInteractionTimer = null;
+      _finishFade?.();
+
+      // Start everything from the same place
+      _capture = { wallTime: Date.now(), animationTime: _animationNow() };
+      _rebaseClock(state?.time != null ? new Date(state.time) : _clockNow());
+      _starEpoch = _capture.animationTime;
+      _cloudsTime = _capture.animationTime;
+      if (_clouds)
+        _clouds.rotation.y = 0;
+
+      // Start on the clouds' frame for the start time, without crossfading
+      await _updateCloudsFrame();
+      _finishCloudsFade();
+
+      if (tour)
+        g.tour(tour);
+
+      for (let index = 0; index < frames && !_destroyed; index++)
+      {
+        if (index > 0)
+        {
+          _stepCapture(1 / fps);
 
-  const _createClouds = async function()
-  {
-    await _loadThreeJS();
+          // Any clouds' frame the step moved on to starts fading in now
+          await _cloudsLoading;
+        }
+        _moveSunToPositionAtDate();
 
-    return new Promise(resolve =>
+        const blob = await _renderToBlob(options);
+        _emit('captureFrame', blob, index);
+        if (onFrame)
+          await onFrame(blob, index);
+      }
+    }
+    finally
     {
-      // Create the clouds texture
-      new Globe.THREE.TextureLoader().load(planet.cloudsURL, cloudsTexture => 
+      // Carry on from the captured times
+      if (_capture)
+      {
+        const now = _clockNow();
+        _animationOffset = _capture.animationTime - performance.now();
+        _capture = null;
+        _rebaseClock(now);
+      }
+      if (_clouds && cloudsRotation != null)
+        _clouds.rotation.y = cloudsRotation;
+
+      if (!_destroyed)
       {
-        const widthSegments = Math.max(4, Math.round(360 / g.globeCurvatureResolution()));
+        controls.enabled = true;
+        if (!_renderPaused && !_appPaused)
+          _resumeAnimation();
 
-        _clouds = new Globe.THREE.Mesh(
-          new Globe.THREE.SphereGeometry(g.getGlobeRadius() * (1 + planet.cloudsAltitude), 
-                                         widthSegments, widthSegments/2),
-          new Globe.THREE.MeshPhongMaterial({ map: cloudsTexture, transparent: true })
-        );
+        // The page may have been hidden or scrolled meanwhile
+        _updateRenderPause();
+      }
+    }
+    return g;
+  };
 
-        // Clouds are a bit clearer at night
-        if (opts.dayMode === 'night')
-          _clouds.material.opacity = .4;
+  // Move every animation on by the given seconds
+  const _stepCapture = function(dt)
+  {
+    _capture.wallTime += dt * 1000;
+    _capture.animationTime += dt * 1000;
+
+    // Turn the camera as far as OrbitControls' auto-rotate would in dt (a
+    // full turn every 60 seconds at speed 1), since left to itself it turns
+    // by a fixed angle per update
+    const spinning = controls.autoRotate;
+    if (spinning)
+    {
+      const angle = 2 * Math.PI / 60 * controls.autoRotateSpeed * dt;
+      camera.position.sub(controls.target).applyAxisAngle(camera.up, -angle).add(controls.target);
+    }
+    controls.autoRotate = false;
+    controls.update();
+    controls.autoRotate = spinning;
 
-        _addClouds();
-        resolve();
-      });
-    });
+    _stepAnimations();
   };
 
-  // Function for adding the clouds once they are loaded
-  const _addClouds = function()
+  // Bring each of our animations up to the current animation time, and
+  // keep them running
+  const _stepAnimations = function()
   {
-    // Add the clouds to the scene
-    g.scene().add(_clouds);
+    if (_clouds && _cloudsshown)
+      _animateClouds();
+    if (_starFrame != null)
+      _animateStar();
+    if (_tour && !_tour.paused)
+      _stepTour();
+    _stepFade?.();
+  };
+
+  // Render the scene at the given size (or the canvas's own) and read it
+  // into a Blob. The canvas is read right after rendering, before the
+  // browser clears its drawing buffer, so the renderer doesn't need
+  // preserveDrawingBuffer.
+  const _renderToBlob = function({ width, height, format = 'png', quality } = {})
+  {
+    const renderer = g.renderer();
+    const canvas = renderer.domElement;
+    const type = format.includes('/') ? format : 'image/' + (format === 'jpg' ? 'jpeg' : format);
+
+    const size = renderer.getSize(new Globe.THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const resize = width || height;
+    if (resize)
+    {
+      const w = width || Math.round(height * size.x / size.y);
+      const h = height || Math.round(width * size.y / size.x);
+      renderer.setPixelRatio(1);
+      renderer.setSize(w, h, false);
+      camera.aspect = w / h;
+      camera.updateProjectionMatrix();
+    }
 
-    // Permanently rotate the clouds
-    function rotateClouds() 
+    renderer.render(g.scene(), camera);
+    const blob = new Promise((resolve, reject) => canvas.toBlob(blob =>
+      blob ? resolve(blob) : reject(new Error(`globepretty: could not make a ${type} image`)),
+      type, quality));
+
+    // Put the canvas back as it was
+    if (resize)
     {
-      _clouds.rotation.y += planet.cloudsRotateSpeed * Math.PI / 180;
-      if (_cloudsshown)
-        requestAnimationFrame(rotateClouds);
-     }
-    rotateClouds();
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      camera.aspect = size.x / size.y;
+      camera.updateProjectionMatrix();
+      renderer.render(g.scene(), camera);
+    }
+    return blob;
   };
 
   ///////////////////////////////////////////////////////////////////////////
-  // RESIZING
+  // DESTROY
   ///////////////////////////////////////////////////////////////////////////
 
-  // Handle window/container resizing
-  window.addEventListener('resize', () =>
+  // Stop every timer, listener and animation loop, and release every
+  // texture, material, geometry and the renderer. The globe can't be used
+  // afterward.
+  let _destroyed = false;
+  g.destroy = function()
   {
-    g.width(container.offsetWidth)
-     .height(container.offsetHeight);
-  });
+    if (_destroyed)
+      return;
+    _destroyed = true;
+    _globeready = false;
+
+    _resizeObserver?.disconnect();
+    _pixelRatioQuery?.removeEventListener('change', _onPixelRatioChange);
+    clearTimeout(_nonInteractionTimer);
+    _listenForInputs(false);
+    _stopKeyboard();
+    _stopGovernor();
+    _intersectionObserver?.disconnect();
+    document.removeEventListener('visibilitychange', _onVisibilityChange);
+    clearTimeout(_hashTimer);
+    window.removeEventListener('hashchange', _onHashChange);
+    controls.removeEventListener('start', _onControlsStart);
+    controls.removeEventListener('end', _onControlsEnd);
+    g.cancelTour();
+    _removeSurface();
+    _removeClouds();
+    _removeRings();
+    _removeAtmosphere();
+    _removeTileLayers();
+    Object.values(_listeners).forEach(handlers => handlers.clear());
+
+    g._destructor();
+    controls.dispose();
+    g.renderer().dispose();
+    g.renderer().forceContextLoss();
+  };
 
   ///////////////////////////////////////////////////////////////////////////
   // THREE JS
@@ -831,14 +4590,43 @@ Globe = function(container, opts)
     }
   }
 
+  // Dispose of the given mesh's geometry, materials and their textures
+  const _disposeMesh = function(mesh)
+  {
+    mesh.userData.disposed = true;
+    mesh.geometry?.dispose();
+    [].concat(mesh.material).forEach(mat =>
+    {
+      [...Object.values(mat), ...Object.values(mat.uniforms || {}).map(u => u.value)]
+        .forEach(v => v?.isTexture && v.dispose());
+      mat.dispose();
+    });
+  };
+
   ///////////////////////////////////////////////////////////////////////////
   // SHADOWS
   ///////////////////////////////////////////////////////////////////////////
 
   const _setupShadows = () =>
   {
+    // Unless turned off to keep up the frame rate
+    if (!_performance.shadows)
+      return;
+
     g.renderer().shadowMap.enabled = true;
-    _surface.receiveShadow = true;
+
+    // Without a surface overlay, globe.gl's own globe takes the shadows
+    const globe = _surface ?? g.scene().getObjectByProperty('__globeObjType', 'globe')?.children[0];
+    if (globe)
+      globe.receiveShadow = true;
+
+    // The planet and its rings shade each other
+    if (_rings)
+    {
+      _rings.castShadow = _rings.receiveShadow = true;
+      if (globe)
+        globe.castShadow = true;
+    }
 
     g.lights().filter(l => l.type === 'DirectionalLight')
               .forEach(l => 
@@ -847,7 +4635,20 @@ Globe = function(container, opts)
                          //l.shadow.mapSize.width = 1024;
                          //l.shadow.mapSize.height = 1024;
                          //l.shadow.bias = -0.001; // Adjust for artifacts (penumbra)
-                         const R = g.getGlobeRadius() * 1.2; // Only objs within 20% of surface cast shadows
+                         // Only objs within 20% of surface (or within the rings) cast shadows
+                         const R = g.getGlobeRadius() * Math.max(1.2, (_rings ? planet.rings.outerRadius * 1.05 : 0));
+                         if (_rings)
+                         {
+                           // Keep the rings' shadow sharp across their width, and
+                           // keep the planet from shadowing itself
+                           if (l.shadow.mapSize.width < 2048)
+                           {
+                             l.shadow.mapSize.set(2048, 2048);
+                             l.shadow.map?.dispose();
+                             l.shadow.map = null;
+                           }
+                           l.shadow.normalBias = g.getGlobeRadius() * .005;
+                         }
                          l.shadow.camera.top = R;
                          l.shadow.camera.bottom = -R;
                          l.shadow.camera.left = -R;
@@ -876,3 +4677,220 @@ Globe = function(container, opts)
   return g;
 }
 
+// Add the given planet record (see the planet option) to the planets that
+// can be picked by name, replacing any planet already of that name. Throws
+// an error if the record is unusable.
+Globe.registerPlanet = function(name, record)
+{
+  if (typeof name !== 'string' || !name)
+    throw new Error(`globepretty: a planet's name must be a non-empty string, not ${name}`);
+  _validatePlanet(record, `planet '${name}'`);
+
+  _planet[name] = { ...record };
+  return Globe;
+};
+
+// Get the names of the planets that can be picked by name
+Globe.planets = function()
+{
+  return Object.keys(_planet);
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// TIME ZONES
+///////////////////////////////////////////////////////////////////////////////
+
+// The [lat, lng] of each IANA time zone's principal city (from the tz
+// database's zone.tab), including the older names some browsers still
+// report, such as Asia/Calcutta
+const _timezones =
+{
+  'Africa/Abidjan': [5.3, -4], 'Africa/Accra': [5.5, -0.2], 'Africa/Addis_Ababa': [9, 38.7],
+  'Africa/Algiers': [36.8, 3], 'Africa/Asmara': [15.3, 38.9], 'Africa/Asmera': [15.3, 38.9],
+  'Africa/Bamako': [12.7, -8], 'Africa/Bangui': [4.4, 18.6], 'Africa/Banjul': [13.5, -16.6],
+  'Africa/Bissau': [11.8, -15.6], 'Africa/Blantyre': [-15.8, 35],
+  'Africa/Brazzaville': [-4.3, 15.3], 'Africa/Bujumbura': [-3.4, 29.4],
+  'Africa/Cairo': [30.1, 31.2], 'Africa/Casablanca': [33.6, -7.6], 'Africa/Ceuta': [35.9, -5.3],
+  'Africa/Conakry': [9.5, -13.7], 'Africa/Dakar': [14.7, -17.4],
+  'Africa/Dar_es_Salaam': [-6.8, 39.3], 'Africa/Djibouti': [11.6, 43.1], 'Africa/Douala': [4, 9.7],
+  'Africa/El_Aaiun': [27.1, -13.2], 'Africa/Freetown': [8.5, -13.2],
+  'Africa/Gaborone': [-24.6, 25.9], 'Africa/Harare': [-17.8, 31.1],
+  'Africa/Johannesburg': [-26.2, 28], 'Africa/Juba': [4.8, 31.6], 'Africa/Kampala': [0.3, 32.4],
+  'Africa/Khartoum': [15.6, 32.5], 'Africa/Kigali': [-1.9, 30.1], 'Africa/Kinshasa': [-4.3, 15.3],
+  'Africa/Lagos': [6.5, 3.4], 'Africa/Libreville': [0.4, 9.4], 'Africa/Lome': [6.1, 1.2],
+  'Africa/Luanda': [-8.8, 13.2], 'Africa/Lubumbashi': [-11.7, 27.5],
+  'Africa/Lusaka': [-15.4, 28.3], 'Africa/Malabo': [3.8, 8.8], 'Africa/Maputo': [-26, 32.6],
+  'Africa/Maseru': [-29.5, 27.5], 'Africa/Mbabane': [-26.3, 31.1], 'Africa/Mogadishu': [2.1, 45.4],
+  'Africa/Monrovia': [6.3, -10.8], 'Africa/Nairobi': [-1.3, 36.8], 'Africa/Ndjamena': [12.1, 15.1],
+  'Africa/Niamey': [13.5, 2.1], 'Africa/Nouakchott': [18.1, -15.9],
+  'Africa/Ouagadougou': [12.4, -1.5], 'Africa/Porto-Novo': [6.5, 2.6],
+  'Africa/Sao_Tome': [0.3, 6.7], 'Africa/Tripoli': [32.9, 13.2], 'Africa/Tunis': [36.8, 10.2],
+  'Africa/Windhoek': [-22.6, 17.1],
+  'America/Adak': [51.9, -176.7], 'America/Anchorage': [61.2, -149.9],
+  'America/Anguilla': [18.2, -63.1], 'America/Antigua': [17.1, -61.8],
+  'America/Araguaina': [-7.2, -48.2], 'America/Argentina/Buenos_Aires': [-34.6, -58.5],
+  'America/Argentina/Catamarca': [-28.5, -65.8], 'America/Argentina/Cordoba': [-31.4, -64.2],
+  'America/Argentina/Jujuy': [-24.2, -65.3], 'America/Argentina/La_Rioja': [-29.4, -66.8],
+  'America/Argentina/Mendoza': [-32.9, -68.8], 'America/Argentina/Rio_Gallegos': [-51.6, -69.2],
+  'America/Argentina/Salta': [-24.8, -65.4], 'America/Argentina/San_Juan': [-31.5, -68.5],
+  'America/Argentina/San_Luis': [-33.3, -66.3], 'America/Argentina/Tucuman': [-26.8, -65.2],
+  'America/Argentina/Ushuaia': [-54.8, -68.3], 'America/Aruba': [12.5, -70],
+  'America/Asuncion': [-25.3, -57.7], 'America/Atikokan': [48.8, -91.6],
+  'America/Bahia': [-13, -38.5], 'America/Bahia_Banderas': [20.8, -105.2],
+  'America/Barbados': [13.1, -59.6], 'America/Belem': [-1.4, -48.5],
+  'America/Belize': [17.5, -88.2], 'America/Blanc-Sablon': [51.4, -57.1],
+  'America/Boa_Vista': [2.8, -60.7], 'America/Bogota': [4.6, -74.1],
+  'America/Boise': [43.6, -116.2], 'America/Buenos_Aires': [-34.6, -58.5],
+  'America/Cambridge_Bay': [69.1, -105.1], 'America/Campo_Grande': [-20.4, -54.6],
+  'America/Cancun': [21.1, -86.8], 'America/Caracas': [10.5, -66.9],
+  'America/Catamarca': [-28.5, -65.8], 'America/Cayenne': [4.9, -52.3],
+  'America/Cayman': [19.3, -81.4], 'America/Chicago': [41.9, -87.7],
+  'America/Chihuahua': [28.6, -106.1], 'America/Ciudad_Juarez': [31.7, -106.5],
+  'America/Coral_Harbour': [48.8, -91.6], 'America/Cordoba': [-31.4, -64.2],
+  'America/Costa_Rica': [9.9, -84.1], 'America/Coyhaique': [-45.6, -72.1],
+  'America/Creston': [49.1, -116.5], 'America/Cuiaba': [-15.6, -56.1],
+  'America/Curacao': [12.2, -69], 'America/Danmarkshavn': [76.8, -18.7],
+  'America/Dawson': [64.1, -139.4], 'America/Dawson_Creek': [55.8, -120.2],
+  'America/Denver': [39.7, -105], 'America/Detroit': [42.3, -83],
+  'America/Dominica': [15.3, -61.4], 'America/Edmonton': [53.5, -113.5],
+  'America/Eirunepe': [-6.7, -69.9], 'America/El_Salvador': [13.7, -89.2],
+  'America/Fort_Nelson': [58.8, -122.7], 'America/Fortaleza': [-3.7, -38.5],
+  'America/Glace_Bay': [46.2, -60], 'America/Godthab': [64.2, -51.7],
+  'America/Goose_Bay': [53.3, -60.4], 'America/Grand_Turk': [21.5, -71.1],
+  'America/Grenada': [12.1, -61.8], 'America/Guadeloupe': [16.2, -61.5],
+  'America/Guatemala': [14.6, -90.5], 'America/Guayaquil': [-2.2, -79.8],
+  'America/Guyana': [6.8, -58.2], 'America/Halifax': [44.6, -63.6],
+  'America/Havana': [23.1, -82.4], 'America/Hermosillo': [29.1, -111],
+  'America/Indiana/Indianapolis': [39.8, -86.2], 'America/Indiana/Knox': [41.3, -86.6],
+  'America/Indiana/Marengo': [38.4, -86.3], 'America/Indiana/Petersburg': [38.5, -87.3],
+  'America/Indiana/Tell_City': [38, -86.8], 'America/Indiana/Vevay': [38.7, -85.1],
+  'America/Indiana/Vincennes': [38.7, -87.5], 'America/Indiana/Winamac': [41.1, -86.6],
+  'America/Indianapolis': [39.8, -86.2], 'America/Inuvik': [68.3, -133.7],
+  'America/Iqaluit': [63.7, -68.5], 'America/Jamaica': [18, -76.8],
+  'America/Jujuy': [-24.2, -65.3], 'America/Juneau': [58.3, -134.4],
+  'America/Kentucky/Louisville': [38.3, -85.8], 'America/Kentucky/Monticello': [36.8, -84.8],
+  'America/Kralendijk': [12.2, -68.3], 'America/La_Paz': [-16.5, -68.2],
+  'America/Lima': [-12.1, -77], 'America/Los_Angeles': [34.1, -118.2],
+  'America/Louisville': [38.3, -85.8], 'America/Lower_Princes': [18.1, -63],
+  'America/Maceio': [-9.7, -35.7], 'America/Managua': [12.2, -86.3], 'America/Manaus': [-3.1, -60],
+  'America/Marigot': [18.1, -63.1], 'America/Martinique': [14.6, -61.1],
+  'America/Matamoros': [25.8, -97.5], 'America/Mazatlan': [23.2, -106.4],
+  'America/Mendoza': [-32.9, -68.8], 'America/Menominee': [45.1, -87.6],
+  'America/Merida': [21, -89.6], 'America/Metlakatla': [55.1, -131.6],
+  'America/Mexico_City': [19.4, -99.2], 'America/Miquelon': [47, -56.3],
+  'America/Moncton': [46.1, -64.8], 'America/Monterrey': [25.7, -100.3],
+  'America/Montevideo': [-34.9, -56.2], 'America/Montserrat': [16.7, -62.2],
+  'America/Nassau': [25.1, -77.3], 'America/New_York': [40.7, -74], 'America/Nome': [64.5, -165.4],
+  'America/Noronha': [-3.9, -32.4], 'America/North_Dakota/Beulah': [47.3, -101.8],
+  'America/North_Dakota/Center': [47.1, -101.3], 'America/North_Dakota/New_Salem': [46.8, -101.4],
+  'America/Nuuk': [64.2, -51.7], 'America/Ojinaga': [29.6, -104.4], 'America/Panama': [9, -79.5],
+  'America/Paramaribo': [5.8, -55.2], 'America/Phoenix': [33.4, -112.1],
+  'America/Port-au-Prince': [18.5, -72.3], 'America/Port_of_Spain': [10.7, -61.5],
+  'America/Porto_Velho': [-8.8, -63.9], 'America/Puerto_Rico': [18.5, -66.1],
+  'America/Punta_Arenas': [-53.1, -70.9], 'America/Rankin_Inlet': [62.8, -92.1],
+  'America/Recife': [-8.1, -34.9], 'America/Regina': [50.4, -104.7],
+  'America/Resolute': [74.7, -94.8], 'America/Rio_Branco': [-10, -67.8],
+  'America/Santarem': [-2.4, -54.9], 'America/Santiago': [-33.5, -70.7],
+  'America/Santo_Domingo': [18.5, -69.9], 'America/Sao_Paulo': [-23.5, -46.6],
+  'America/Scoresbysund': [70.5, -22], 'America/Sitka': [57.2, -135.3],
+  'America/St_Barthelemy': [17.9, -62.9], 'America/St_Johns': [47.6, -52.7],
+  'America/St_Kitts': [17.3, -62.7], 'America/St_Lucia': [14, -61],
+  'America/St_Thomas': [18.4, -64.9], 'America/St_Vincent': [13.2, -61.2],
+  'America/Swift_Current': [50.3, -107.8], 'America/Tegucigalpa': [14.1, -87.2],
+  'America/Thule': [76.6, -68.8], 'America/Tijuana': [32.5, -117],
+  'America/Toronto': [43.6, -79.4], 'America/Tortola': [18.4, -64.6],
+  'America/Vancouver': [49.3, -123.1], 'America/Whitehorse': [60.7, -135.1],
+  'America/Winnipeg': [49.9, -97.2], 'America/Yakutat': [59.5, -139.7],
+  'Antarctica/Casey': [-66.3, 110.5], 'Antarctica/Davis': [-68.6, 78],
+  'Antarctica/DumontDUrville': [-66.7, 140], 'Antarctica/Macquarie': [-54.5, 158.9],
+  'Antarctica/Mawson': [-67.6, 62.9], 'Antarctica/McMurdo': [-77.8, 166.6],
+  'Antarctica/Palmer': [-64.8, -64.1], 'Antarctica/Rothera': [-67.6, -68.1],
+  'Antarctica/Syowa': [-69, 39.6], 'Antarctica/Troll': [-72, 2.5],
+  'Antarctica/Vostok': [-78.4, 106.9],
+  'Arctic/Longyearbyen': [78, 16],
+  'Asia/Aden': [12.8, 45.2], 'Asia/Almaty': [43.2, 77], 'Asia/Amman': [31.9, 35.9],
+  'Asia/Anadyr': [64.8, 177.5], 'Asia/Aqtau': [44.5, 50.3], 'Asia/Aqtobe': [50.3, 57.2],
+  'Asia/Ashgabat': [38, 58.4], 'Asia/Atyrau': [47.1, 51.9], 'Asia/Baghdad': [33.4, 44.4],
+  'Asia/Bahrain': [26.4, 50.6], 'Asia/Baku': [40.4, 49.9], 'Asia/Bangkok': [13.8, 100.5],
+  'Asia/Barnaul': [53.4, 83.8], 'Asia/Beirut': [33.9, 35.5], 'Asia/Bishkek': [42.9, 74.6],
+  'Asia/Brunei': [4.9, 114.9], 'Asia/Calcutta': [22.5, 88.4], 'Asia/Chita': [52, 113.5],
+  'Asia/Colombo': [6.9, 79.8], 'Asia/Damascus': [33.5, 36.3], 'Asia/Dhaka': [23.7, 90.4],
+  'Asia/Dili': [-8.6, 125.6], 'Asia/Dubai': [25.3, 55.3], 'Asia/Dushanbe': [38.6, 68.8],
+  'Asia/Famagusta': [35.1, 34], 'Asia/Gaza': [31.5, 34.5], 'Asia/Hebron': [31.5, 35.1],
+  'Asia/Ho_Chi_Minh': [10.8, 106.7], 'Asia/Hong_Kong': [22.3, 114.2], 'Asia/Hovd': [48, 91.7],
+  'Asia/Irkutsk': [52.3, 104.3], 'Asia/Jakarta': [-6.2, 106.8], 'Asia/Jayapura': [-2.5, 140.7],
+  'Asia/Jerusalem': [31.8, 35.2], 'Asia/Kabul': [34.5, 69.2], 'Asia/Kamchatka': [53, 158.7],
+  'Asia/Karachi': [24.9, 67], 'Asia/Kathmandu': [27.7, 85.3], 'Asia/Katmandu': [27.7, 85.3],
+  'Asia/Khandyga': [62.7, 135.6], 'Asia/Kolkata': [22.5, 88.4], 'Asia/Krasnoyarsk': [56, 92.8],
+  'Asia/Kuala_Lumpur': [3.2, 101.7], 'Asia/Kuching': [1.6, 110.3], 'Asia/Kuwait': [29.3, 48],
+  'Asia/Macau': [22.2, 113.5], 'Asia/Magadan': [59.6, 150.8], 'Asia/Makassar': [-5.1, 119.4],
+  'Asia/Manila': [14.6, 121], 'Asia/Muscat': [23.6, 58.6], 'Asia/Nicosia': [35.2, 33.4],
+  'Asia/Novokuznetsk': [53.8, 87.1], 'Asia/Novosibirsk': [55, 82.9], 'Asia/Omsk': [55, 73.4],
+  'Asia/Oral': [51.2, 51.4], 'Asia/Phnom_Penh': [11.6, 104.9], 'Asia/Pontianak': [0, 109.3],
+  'Asia/Pyongyang': [39, 125.8], 'Asia/Qatar': [25.3, 51.5], 'Asia/Qostanay': [53.2, 63.6],
+  'Asia/Qyzylorda': [44.8, 65.5], 'Asia/Rangoon': [16.8, 96.2], 'Asia/Riyadh': [24.6, 46.7],
+  'Asia/Saigon': [10.8, 106.7], 'Asia/Sakhalin': [47, 142.7], 'Asia/Samarkand': [39.7, 66.8],
+  'Asia/Seoul': [37.5, 127], 'Asia/Shanghai': [31.2, 121.5], 'Asia/Singapore': [1.3, 103.8],
+  'Asia/Srednekolymsk': [67.5, 153.7], 'Asia/Taipei': [25.1, 121.5], 'Asia/Tashkent': [41.3, 69.3],
+  'Asia/Tbilisi': [41.7, 44.8], 'Asia/Tehran': [35.7, 51.4], 'Asia/Thimphu': [27.5, 89.7],
+  'Asia/Tokyo': [35.7, 139.7], 'Asia/Tomsk': [56.5, 85], 'Asia/Ulaanbaatar': [47.9, 106.9],
+  'Asia/Urumqi': [43.8, 87.6], 'Asia/Ust-Nera': [64.6, 143.2], 'Asia/Vientiane': [18, 102.6],
+  'Asia/Vladivostok': [43.2, 131.9], 'Asia/Yakutsk': [62, 129.7], 'Asia/Yangon': [16.8, 96.2],
+  'Asia/Yekaterinburg': [56.9, 60.6], 'Asia/Yerevan': [40.2, 44.5],
+  'Atlantic/Azores': [37.7, -25.7], 'Atlantic/Bermuda': [32.3, -64.8],
+  'Atlantic/Canary': [28.1, -15.4], 'Atlantic/Cape_Verde': [14.9, -23.5],
+  'Atlantic/Faeroe': [62, -6.8], 'Atlantic/Faroe': [62, -6.8], 'Atlantic/Madeira': [32.6, -16.9],
+  'Atlantic/Reykjavik': [64.2, -21.9], 'Atlantic/South_Georgia': [-54.3, -36.5],
+  'Atlantic/St_Helena': [-15.9, -5.7], 'Atlantic/Stanley': [-51.7, -57.9],
+  'Australia/Adelaide': [-34.9, 138.6], 'Australia/Brisbane': [-27.5, 153],
+  'Australia/Broken_Hill': [-31.9, 141.4], 'Australia/Darwin': [-12.5, 130.8],
+  'Australia/Eucla': [-31.7, 128.9], 'Australia/Hobart': [-42.9, 147.3],
+  'Australia/Lindeman': [-20.3, 149], 'Australia/Lord_Howe': [-31.6, 159.1],
+  'Australia/Melbourne': [-37.8, 145], 'Australia/Perth': [-31.9, 115.8],
+  'Australia/Sydney': [-33.9, 151.2],
+  'Europe/Amsterdam': [52.4, 4.9], 'Europe/Andorra': [42.5, 1.5], 'Europe/Astrakhan': [46.4, 48],
+  'Europe/Athens': [38, 23.7], 'Europe/Belgrade': [44.8, 20.5], 'Europe/Berlin': [52.5, 13.4],
+  'Europe/Bratislava': [48.1, 17.1], 'Europe/Brussels': [50.8, 4.3],
+  'Europe/Bucharest': [44.4, 26.1], 'Europe/Budapest': [47.5, 19.1],
+  'Europe/Busingen': [47.7, 8.7], 'Europe/Chisinau': [47, 28.8], 'Europe/Copenhagen': [55.7, 12.6],
+  'Europe/Dublin': [53.3, -6.2], 'Europe/Gibraltar': [36.1, -5.3], 'Europe/Guernsey': [49.5, -2.5],
+  'Europe/Helsinki': [60.2, 25], 'Europe/Isle_of_Man': [54.1, -4.5], 'Europe/Istanbul': [41, 29],
+  'Europe/Jersey': [49.2, -2.1], 'Europe/Kaliningrad': [54.7, 20.5], 'Europe/Kiev': [50.4, 30.5],
+  'Europe/Kirov': [58.6, 49.6], 'Europe/Kyiv': [50.4, 30.5], 'Europe/Lisbon': [38.7, -9.1],
+  'Europe/Ljubljana': [46, 14.5], 'Europe/London': [51.5, -0.1], 'Europe/Luxembourg': [49.6, 6.2],
+  'Europe/Madrid': [40.4, -3.7], 'Europe/Malta': [35.9, 14.5], 'Europe/Mariehamn': [60.1, 19.9],
+  'Europe/Minsk': [53.9, 27.6], 'Europe/Monaco': [43.7, 7.4], 'Europe/Moscow': [55.8, 37.6],
+  'Europe/Oslo': [59.9, 10.8], 'Europe/Paris': [48.9, 2.3], 'Europe/Podgorica': [42.4, 19.3],
+  'Europe/Prague': [50.1, 14.4], 'Europe/Riga': [57, 24.1], 'Europe/Rome': [41.9, 12.5],
+  'Europe/Samara': [53.2, 50.1], 'Europe/San_Marino': [43.9, 12.5],
+  'Europe/Sarajevo': [43.9, 18.4], 'Europe/Saratov': [51.6, 46], 'Europe/Simferopol': [45, 34.1],
+  'Europe/Skopje': [42, 21.4], 'Europe/Sofia': [42.7, 23.3], 'Europe/Stockholm': [59.3, 18.1],
+  'Europe/Tallinn': [59.4, 24.8], 'Europe/Tirane': [41.3, 19.8], 'Europe/Ulyanovsk': [54.3, 48.4],
+  'Europe/Vaduz': [47.1, 9.5], 'Europe/Vatican': [41.9, 12.5], 'Europe/Vienna': [48.2, 16.3],
+  'Europe/Vilnius': [54.7, 25.3], 'Europe/Volgograd': [48.7, 44.4], 'Europe/Warsaw': [52.2, 21],
+  'Europe/Zagreb': [45.8, 16], 'Europe/Zurich': [47.4, 8.5],
+  'Indian/Antananarivo': [-18.9, 47.5], 'Indian/Chagos': [-7.3, 72.4],
+  'Indian/Christmas': [-10.4, 105.7], 'Indian/Cocos': [-12.2, 96.9],
+  'Indian/Comoro': [-11.7, 43.3], 'Indian/Kerguelen': [-49.4, 70.2], 'Indian/Mahe': [-4.7, 55.5],
+  'Indian/Maldives': [4.2, 73.5], 'Indian/Mauritius': [-20.2, 57.5],
+  'Indian/Mayotte': [-12.8, 45.2], 'Indian/Reunion': [-20.9, 55.5],
+  'Pacific/Apia': [-13.8, -171.7], 'Pacific/Auckland': [-36.9, 174.8],
+  'Pacific/Bougainville': [-6.2, 155.6], 'Pacific/Chatham': [-44, -176.6],
+  'Pacific/Chuuk': [7.4, 151.8], 'Pacific/Easter': [-27.1, -109.4],
+  'Pacific/Efate': [-17.7, 168.4], 'Pacific/Enderbury': [-2.8, -171.7],
+  'Pacific/Fakaofo': [-9.4, -171.2], 'Pacific/Fiji': [-18.1, 178.4],
+  'Pacific/Funafuti': [-8.5, 179.2], 'Pacific/Galapagos': [-0.9, -89.6],
+  'Pacific/Gambier': [-23.1, -134.9], 'Pacific/Guadalcanal': [-9.5, 160.2],
+  'Pacific/Guam': [13.5, 144.8], 'Pacific/Honolulu': [21.3, -157.9],
+  'Pacific/Kanton': [-2.8, -171.7], 'Pacific/Kiritimati': [1.9, -157.3],
+  'Pacific/Kosrae': [5.3, 163], 'Pacific/Kwajalein': [9.1, 167.3], 'Pacific/Majuro': [7.2, 171.2],
+  'Pacific/Marquesas': [-9, -139.5], 'Pacific/Midway': [28.2, -177.4],
+  'Pacific/Nauru': [-0.5, 166.9], 'Pacific/Niue': [-19, -169.9], 'Pacific/Norfolk': [-29.1, 168],
+  'Pacific/Noumea': [-22.3, 166.4], 'Pacific/Pago_Pago': [-14.3, -170.7],
+  'Pacific/Palau': [7.3, 134.5], 'Pacific/Pitcairn': [-25.1, -130.1],
+  'Pacific/Pohnpei': [7, 158.2], 'Pacific/Ponape': [7, 158.2],
+  'Pacific/Port_Moresby': [-9.5, 147.2], 'Pacific/Rarotonga': [-21.2, -159.8],
+  'Pacific/Saipan': [15.2, 145.8], 'Pacific/Tahiti': [-17.5, -149.6], 'Pacific/Tarawa': [1.4, 173],
+  'Pacific/Tongatapu': [-21.1, -175.2], 'Pacific/Truk': [7.4, 151.8],
+  'Pacific/Wake': [19.3, 166.6], 'Pacific/Wallis': [-13.3, -176.2]
+};